@@ -1,5 +1,5 @@
 import React from 'react';
-import { BrowserRouter as Router, Routes, Route, Navigate } from 'react-router-dom';
+import { BrowserRouter as Router, Routes, Route, Navigate, useLocation } from 'react-router-dom';
 import { ToastContainer } from 'react-toastify';
 import 'react-toastify/dist/ReactToastify.css';
 import { AuthProvider, useAuth } from './context/AuthContext';
@@ -8,14 +8,24 @@ import Home from './pages/Home';
 import Login from './pages/Login';
 import Register from './pages/Register';
 import Dashboard from './components/Dashboard';
-import PaymentForm from './components/PaymentForm'; // Legacy Stripe
-import PaymentFormTransak from './components/PaymentFormTransak'; // New Transak On-Ramp
+import PaymentPage from './components/PaymentPage'; // Transak / Stripe via provider registry
+import SellForm from './components/SellForm';
 import TransactionStatus from './components/TransactionStatus';
 import TransactionHistory from './components/TransactionHistory';
+import Receipt from './components/Receipt';
+import AddressBook from './components/AddressBook';
+import AddressForm from './components/AddressForm';
+import PaymentRequests from './components/PaymentRequests';
+import PaymentRequestForm from './components/PaymentRequestForm';
+import RecurringPurchases from './components/RecurringPurchases';
+import RecurringPurchaseForm from './components/RecurringPurchaseForm';
+import RecurringPurchaseDetail from './components/RecurringPurchaseDetail';
+import Referrals from './components/Referrals';
 
 
 const ProtectedRoute = ({ children }) => {
   const { isAuthenticated, loading } = useAuth();
+  const location = useLocation();
 
   if (loading) {
     return (
@@ -25,7 +35,7 @@ const ProtectedRoute = ({ children }) => {
     );
   }
 
-  return isAuthenticated ? children : <Navigate to="/login" />;
+  return isAuthenticated ? children : <Navigate to="/login" state={{ from: location.pathname + location.search }} />;
 };
 
 // Layout Component
@@ -68,22 +78,34 @@ function App() {
             element={
               <ProtectedRoute>
                 <Layout>
-                  <PaymentFormTransak />
+                  <PaymentPage />
                 </Layout>
               </ProtectedRoute>
             }
           />
-          {/* Legacy Stripe payment route (backup) */}
           <Route
-            path="/payment-stripe"
+            path="/sell"
             element={
               <ProtectedRoute>
                 <Layout>
-                  <PaymentForm />
+                  <SellForm />
                 </Layout>
               </ProtectedRoute>
             }
           />
+          {/* Shared payment request link - /payment locked to the request */}
+          <Route
+            path="/pay/:token"
+            element={
+              <ProtectedRoute>
+                <Layout>
+                  <PaymentPage />
+                </Layout>
+              </ProtectedRoute>
+            }
+          />
+          {/* Legacy Stripe payment route - now a provider on /payment */}
+          <Route path="/payment-stripe" element={<Navigate to="/payment?provider=stripe" replace />} />
           <Route
             path="/transaction/:id"
             element={
@@ -94,6 +116,15 @@ function App() {
               </ProtectedRoute>
             }
           />
+          {/* Printable receipt - no app layout */}
+          <Route
+            path="/transaction/:id/receipt"
+            element={
+              <ProtectedRoute>
+                <Receipt />
+              </ProtectedRoute>
+            }
+          />
           <Route
             path="/transactions"
             element={
@@ -104,6 +135,106 @@ function App() {
               </ProtectedRoute>
             }
           />
+          <Route
+            path="/addresses"
+            element={
+              <ProtectedRoute>
+                <Layout>
+                  <AddressBook />
+                </Layout>
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="/addresses/new"
+            element={
+              <ProtectedRoute>
+                <Layout>
+                  <AddressForm />
+                </Layout>
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="/addresses/:id/edit"
+            element={
+              <ProtectedRoute>
+                <Layout>
+                  <AddressForm />
+                </Layout>
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="/recurring"
+            element={
+              <ProtectedRoute>
+                <Layout>
+                  <RecurringPurchases />
+                </Layout>
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="/recurring/new"
+            element={
+              <ProtectedRoute>
+                <Layout>
+                  <RecurringPurchaseForm />
+                </Layout>
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="/recurring/:id"
+            element={
+              <ProtectedRoute>
+                <Layout>
+                  <RecurringPurchaseDetail />
+                </Layout>
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="/recurring/:id/edit"
+            element={
+              <ProtectedRoute>
+                <Layout>
+                  <RecurringPurchaseForm />
+                </Layout>
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="/requests"
+            element={
+              <ProtectedRoute>
+                <Layout>
+                  <PaymentRequests />
+                </Layout>
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="/requests/new"
+            element={
+              <ProtectedRoute>
+                <Layout>
+                  <PaymentRequestForm />
+                </Layout>
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="/referrals"
+            element={
+              <ProtectedRoute>
+                <Layout>
+                  <Referrals />
+                </Layout>
+              </ProtectedRoute>
+            }
+          />
 
           {/* 404 */}
           <Route path="*" element={<Navigate to="/" />} />
@@ -0,0 +1,162 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { authAPI } from '../services/api';
+import { NETWORKS } from '../utils/networks';
+import { truncateAddress, copyToClipboard } from '../utils/formatters';
+import { toast } from 'react-toastify';
+
+const AddressBook = () => {
+  const [addresses, setAddresses] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [busyId, setBusyId] = useState(null);
+
+  useEffect(() => {
+    fetchAddresses();
+  }, []);
+
+  const fetchAddresses = async () => {
+    try {
+      const response = await authAPI.getAddresses();
+      setAddresses(response.data.addresses);
+    } catch (error) {
+      toast.error('Failed to load saved addresses');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSetDefault = async (entry) => {
+    setBusyId(entry._id);
+    try {
+      await authAPI.setDefaultAddress(entry._id);
+      // Only one default per network
+      setAddresses(addresses.map((a) =>
+        a.network === entry.network ? { ...a, isDefault: a._id === entry._id } : a
+      ));
+      toast.success(`"${entry.label}" is now your default ${NETWORKS[entry.network]?.label} address`);
+    } catch (error) {
+      toast.error(error.message || 'Failed to update default address');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleDelete = async (entry) => {
+    if (!window.confirm(`Delete "${entry.label}"? This cannot be undone.`)) {
+      return;
+    }
+
+    setBusyId(entry._id);
+    try {
+      await authAPI.deleteAddress(entry._id);
+      setAddresses(addresses.filter((a) => a._id !== entry._id));
+      toast.success('Address deleted');
+    } catch (error) {
+      toast.error(error.message || 'Failed to delete address');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleCopy = async (address) => {
+    const success = await copyToClipboard(address);
+    if (success) {
+      toast.success('Address copied to clipboard');
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center min-h-screen">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
+      </div>
+    );
+  }
+
+  const groups = Object.values(NETWORKS)
+    .map((network) => ({
+      network,
+      entries: addresses.filter((a) => a.network === network.key),
+    }))
+    .filter((group) => group.entries.length > 0);
+
+  return (
+    <div className="max-w-4xl mx-auto space-y-6">
+      <div className="flex items-center justify-between">
+        <h1 className="text-3xl font-bold">Address Book</h1>
+        <Link to="/addresses/new" className="btn btn-primary">
+          Add Address
+        </Link>
+      </div>
+
+      {groups.length === 0 ? (
+        <div className="card text-center py-12">
+          <div className="text-6xl mb-4">📒</div>
+          <p className="text-gray-600 mb-4">No saved addresses yet</p>
+          <Link to="/addresses/new" className="btn btn-primary">
+            Save Your First Address
+          </Link>
+        </div>
+      ) : (
+        groups.map(({ network, entries }) => (
+          <div key={network.key} className="card">
+            <h2 className="text-lg font-semibold mb-4">
+              {network.label} <span className="text-sm font-normal text-gray-500">({network.name})</span>
+            </h2>
+
+            <div className="divide-y divide-gray-200">
+              {entries.map((entry) => (
+                <div key={entry._id} className="flex items-center justify-between py-3">
+                  <div>
+                    <div className="flex items-center space-x-2">
+                      <span className="font-medium text-gray-900">{entry.label}</span>
+                      {entry.isDefault && (
+                        <span className="px-2 py-0.5 text-xs font-medium bg-primary-100 text-primary-800 rounded-full">
+                          Default
+                        </span>
+                      )}
+                    </div>
+                    <button
+                      onClick={() => handleCopy(entry.address)}
+                      className="font-mono text-sm text-gray-600 hover:text-primary-600"
+                      title={entry.address}
+                    >
+                      {truncateAddress(entry.address, 10, 8)}
+                    </button>
+                  </div>
+
+                  <div className="flex items-center space-x-3 text-sm">
+                    {!entry.isDefault && (
+                      <button
+                        onClick={() => handleSetDefault(entry)}
+                        disabled={busyId === entry._id}
+                        className="text-gray-600 hover:text-primary-600 disabled:opacity-50"
+                      >
+                        Set default
+                      </button>
+                    )}
+                    <Link
+                      to={`/addresses/${entry._id}/edit`}
+                      className="text-primary-600 hover:text-primary-700 font-medium"
+                    >
+                      Edit
+                    </Link>
+                    <button
+                      onClick={() => handleDelete(entry)}
+                      disabled={busyId === entry._id}
+                      className="text-red-600 hover:text-red-700 disabled:opacity-50"
+                    >
+                      Delete
+                    </button>
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+        ))
+      )}
+    </div>
+  );
+};
+
+export default AddressBook;
@@ -0,0 +1,57 @@
+import React from 'react';
+import { validateAddress, detectAddressFamily } from '../utils/addressValidation';
+
+const GROUP_SIZE = 4;
+
+/**
+ * Full wallet address laid out for comparing character by character.
+ *
+ * The address is split into groups of four with the first and last group
+ * emphasised (the part people check against their wallet app). In EIP-55
+ * (mixed-case) EVM addresses the checksum-carrying capitals are highlighted;
+ * a Tron address is verified against its Base58Check checksum.
+ */
+const AddressDisplay = ({ address, network }) => {
+  const value = (address || '').trim();
+  const { valid } = validateAddress(value, network);
+  const evm = detectAddressFamily(value) === 'evm';
+
+  // An all-lowercase EVM address carries no checksum at all
+  const body = value.slice(2);
+  const hasChecksum = !evm || (body !== body.toLowerCase() && body !== body.toUpperCase());
+
+  const groups = value.match(new RegExp(`.{1,${GROUP_SIZE}}`, 'g')) || [];
+
+  return (
+    <div>
+      <div className="font-mono text-lg leading-relaxed break-all bg-gray-50 border border-gray-200 rounded-lg p-4">
+        {groups.map((group, index) => {
+          const edge = index === 0 || index === groups.length - 1;
+
+          return (
+            <span key={index} className={`inline-block mr-2 ${edge ? 'font-bold text-primary-700' : 'text-gray-800'}`}>
+              {evm && hasChecksum
+                ? [...group].map((char, i) => (
+                    <span key={i} className={/[A-F]/.test(char) ? 'text-indigo-600 underline decoration-dotted' : undefined}>
+                      {char}
+                    </span>
+                  ))
+                : group}
+            </span>
+          );
+        })}
+      </div>
+      <p className={`text-xs mt-2 ${valid ? 'text-green-700' : 'text-red-600'}`}>
+        {!valid
+          ? '✗ This address failed validation'
+          : hasChecksum
+            ? evm
+              ? '✓ Checksum verified - capital letters (highlighted) encode the checksum'
+              : '✓ Base58Check checksum verified'
+            : '✓ Format valid - this address has no checksum, so compare every character'}
+      </p>
+    </div>
+  );
+};
+
+export default AddressDisplay;
@@ -0,0 +1,183 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import { authAPI } from '../services/api';
+import { NETWORKS } from '../utils/networks';
+import { validateAddress } from '../utils/addressValidation';
+import WalletAddressInput from './WalletAddressInput';
+import { toast } from 'react-toastify';
+
+// Add / edit a saved address book entry (/addresses/new, /addresses/:id/edit)
+const AddressForm = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const isEdit = !!id;
+
+  const [formData, setFormData] = useState({
+    label: '',
+    network: 'tron',
+    address: '',
+    isDefault: false,
+  });
+  const [loading, setLoading] = useState(isEdit);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (isEdit) {
+      fetchAddress();
+    }
+  }, [id]);
+
+  const fetchAddress = async () => {
+    try {
+      const response = await authAPI.getAddresses();
+      const entry = response.data.addresses.find((a) => a._id === id);
+
+      if (!entry) {
+        toast.error('Address not found');
+        navigate('/addresses');
+        return;
+      }
+
+      setFormData({
+        label: entry.label,
+        network: entry.network,
+        address: entry.address,
+        isDefault: !!entry.isDefault,
+      });
+    } catch (error) {
+      toast.error('Failed to load address');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setFormData({
+      ...formData,
+      [name]: type === 'checkbox' ? checked : value,
+    });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!formData.label.trim()) {
+      toast.error('Please give this address a name');
+      return;
+    }
+
+    const addressCheck = validateAddress(formData.address, formData.network);
+    if (!addressCheck.valid) {
+      toast.error(addressCheck.error);
+      return;
+    }
+
+    setSaving(true);
+
+    try {
+      const data = { ...formData, label: formData.label.trim() };
+
+      if (isEdit) {
+        await authAPI.updateAddress(id, data);
+        toast.success('Address updated');
+      } else {
+        await authAPI.createAddress(data);
+        toast.success('Address saved');
+      }
+
+      navigate('/addresses');
+    } catch (error) {
+      toast.error(error.message || 'Failed to save address');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center min-h-screen">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-2xl mx-auto">
+      <div className="card">
+        <h2 className="text-2xl font-bold mb-6">{isEdit ? 'Edit Address' : 'Add Address'}</h2>
+
+        <form onSubmit={handleSubmit} className="space-y-6">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Name
+            </label>
+            <input
+              type="text"
+              name="label"
+              value={formData.label}
+              onChange={handleChange}
+              placeholder="e.g. Ledger, Binance deposit"
+              className="input"
+              maxLength="50"
+              required
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Network
+            </label>
+            <select
+              name="network"
+              value={formData.network}
+              onChange={handleChange}
+              className="input"
+            >
+              {Object.values(NETWORKS).map((network) => (
+                <option key={network.key} value={network.key}>
+                  {network.label} ({network.name})
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <WalletAddressInput
+            label="Wallet Address"
+            name="address"
+            value={formData.address}
+            onChange={(address) => setFormData({ ...formData, address })}
+            network={formData.network}
+            required
+          />
+
+          <label className="flex items-center space-x-2 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              name="isDefault"
+              checked={formData.isDefault}
+              onChange={handleChange}
+              className="rounded border-gray-300"
+            />
+            <span>Use as default {NETWORKS[formData.network]?.label} address</span>
+          </label>
+
+          <div className="flex space-x-3">
+            <Link to="/addresses" className="flex-1 btn btn-secondary text-center">
+              Cancel
+            </Link>
+            <button
+              type="submit"
+              disabled={saving}
+              className="flex-1 btn btn-primary"
+            >
+              {saving ? 'Saving...' : isEdit ? 'Save Changes' : 'Save Address'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default AddressForm;
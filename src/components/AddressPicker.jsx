@@ -0,0 +1,87 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { authAPI } from '../services/api';
+import { getNetwork } from '../utils/networks';
+import { truncateAddress } from '../utils/formatters';
+
+/**
+ * Saved address picker for the payment forms.
+ *
+ * Only shows address book entries for the selected network and pre-selects
+ * that network's default when the address field is empty (or still holds a
+ * saved address from a previously selected network).
+ */
+const AddressPicker = ({ network, value, onSelect }) => {
+  const [addresses, setAddresses] = useState([]);
+  const [loaded, setLoaded] = useState(false);
+
+  const networkKey = getNetwork(network)?.key;
+  const entries = addresses.filter((a) => a.network === networkKey);
+  const selected = entries.find((a) => a.address === value);
+
+  useEffect(() => {
+    fetchAddresses();
+  }, []);
+
+  useEffect(() => {
+    if (!loaded) return;
+
+    const fromOtherNetwork = addresses.some((a) => a.address === value && a.network !== networkKey);
+    if (!value || fromOtherNetwork) {
+      const defaultEntry = entries.find((a) => a.isDefault);
+      onSelect(defaultEntry ? defaultEntry.address : '');
+    }
+  }, [networkKey, loaded]);
+
+  const fetchAddresses = async () => {
+    try {
+      const response = await authAPI.getAddresses();
+      setAddresses(response.data.addresses);
+    } catch (error) {
+      // Address book is a convenience - the form still works with manual entry
+      console.error('Failed to load saved addresses:', error);
+    } finally {
+      setLoaded(true);
+    }
+  };
+
+  if (!loaded) {
+    return null;
+  }
+
+  if (entries.length === 0) {
+    return (
+      <p className="text-sm text-gray-500">
+        No saved {getNetwork(network)?.label} addresses.{' '}
+        <Link to="/addresses/new" className="text-primary-600 hover:text-primary-700 font-medium">
+          Add one to your address book
+        </Link>
+      </p>
+    );
+  }
+
+  return (
+    <div>
+      <label className="block text-sm font-medium text-gray-700 mb-2">
+        Saved Addresses
+      </label>
+      <select
+        value={selected?._id || ''}
+        onChange={(e) => {
+          const entry = entries.find((a) => a._id === e.target.value);
+          onSelect(entry ? entry.address : '');
+        }}
+        className="input"
+      >
+        <option value="">Enter a new address</option>
+        {entries.map((entry) => (
+          <option key={entry._id} value={entry._id}>
+            {entry.label}{entry.isDefault ? ' (default)' : ''} - {truncateAddress(entry.address, 8, 6)}
+          </option>
+        ))}
+      </select>
+    </div>
+  );
+};
+
+export default AddressPicker;
@@ -0,0 +1,42 @@
+import React from 'react';
+
+/**
+ * Destination risks from useAddressRisk, with the checkbox the user has to
+ * tick to continue anyway. `acknowledgedAt` is the time of that confirmation
+ * (null until ticked) - it ends up on the transaction metadata.
+ */
+const AddressRiskWarning = ({ risks, acknowledgedAt, onAcknowledge, disabled }) => {
+  if (!risks.length) {
+    return null;
+  }
+
+  const severe = risks.some((risk) => risk.type !== 'new');
+
+  return (
+    <div className={`p-4 rounded-lg border-2 ${severe ? 'bg-red-50 border-red-300' : 'bg-yellow-50 border-yellow-300'}`}>
+      <div className="space-y-3">
+        {risks.map((risk) => (
+          <div key={risk.type} className={`text-sm ${severe ? 'text-red-800' : 'text-yellow-800'}`}>
+            <p className="font-semibold">⚠️ {risk.title}</p>
+            <p className="mt-1">{risk.message}</p>
+          </div>
+        ))}
+      </div>
+
+      <label className="flex items-start space-x-3 mt-4 cursor-pointer">
+        <input
+          type="checkbox"
+          checked={!!acknowledgedAt}
+          onChange={(e) => onAcknowledge(e.target.checked ? new Date().toISOString() : null)}
+          disabled={disabled}
+          className="mt-1 h-4 w-4"
+        />
+        <span className={`text-sm font-medium ${severe ? 'text-red-900' : 'text-yellow-900'}`}>
+          I've checked this address and want to use it anyway
+        </span>
+      </label>
+    </div>
+  );
+};
+
+export default AddressRiskWarning;
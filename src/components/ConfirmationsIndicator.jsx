@@ -0,0 +1,84 @@
+import React, { useState, useEffect } from 'react';
+import { transactionAPI } from '../services/api';
+import { getNetwork, getNetworkLabel } from '../utils/networks';
+
+const POLL_INTERVAL_MS = 10000;
+const MAX_POLL_INTERVAL_MS = 60000;
+
+/**
+ * On-chain confirmations of a transaction's transfer, polled from the backend
+ * until they reach the network's finality threshold (the backend's `required`,
+ * else NETWORKS[network].finality). Polling slows down while requests fail.
+ */
+const ConfirmationsIndicator = ({ transactionId, network }) => {
+  const [confirmations, setConfirmations] = useState(null);
+  const [required, setRequired] = useState(getNetwork(network)?.finality || null);
+
+  const final = confirmations != null && required != null && confirmations >= required;
+
+  useEffect(() => {
+    if (final) return;
+
+    let timer = null;
+    let cancelled = false;
+    let delay = POLL_INTERVAL_MS;
+
+    const poll = async () => {
+      try {
+        const response = await transactionAPI.getConfirmations(transactionId);
+        if (cancelled) return;
+
+        const { confirmations: current, required: threshold } = response.data;
+        setConfirmations(current);
+        if (threshold) setRequired(threshold);
+        delay = POLL_INTERVAL_MS;
+
+        // Stop once final - the effect re-runs and returns early
+        if (threshold && current >= threshold) return;
+      } catch (error) {
+        if (cancelled) return;
+        console.error('Failed to fetch confirmations:', error);
+        delay = Math.min(delay * 2, MAX_POLL_INTERVAL_MS);
+      }
+
+      timer = setTimeout(poll, delay);
+    };
+
+    poll();
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [transactionId, final]);
+
+  if (confirmations == null) {
+    return (
+      <div className="text-xs text-gray-500 animate-pulse mt-2">Checking confirmations...</div>
+    );
+  }
+
+  if (final) {
+    return (
+      <div className="text-sm text-green-700 font-medium mt-2">
+        ✓ Final on {getNetworkLabel(network)} ({confirmations} confirmations)
+      </div>
+    );
+  }
+
+  const percent = required ? Math.min(Math.round((confirmations / required) * 100), 100) : 0;
+
+  return (
+    <div className="mt-2">
+      <div className="flex justify-between text-xs text-gray-600 mb-1">
+        <span>Confirming on {getNetworkLabel(network)}...</span>
+        <span>{confirmations} of {required} confirmations</span>
+      </div>
+      <div className="w-full h-2 bg-green-100 rounded-full overflow-hidden">
+        <div className="h-2 bg-green-500 rounded-full transition-all" style={{ width: `${percent}%` }} />
+      </div>
+    </div>
+  );
+};
+
+export default ConfirmationsIndicator;
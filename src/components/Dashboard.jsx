@@ -1,8 +1,12 @@
 import React, { useState, useEffect } from 'react';
 import { Link } from 'react-router-dom';
 import { transactionAPI } from '../services/api';
-import { formatCurrency, formatCrypto, formatDate, getStatusColor, getStatusText } from '../utils/formatters';
+import { formatCurrency, formatCrypto, formatDate, getStatusColor, getStatusText, formatAmountPaid, formatAmountReceived } from '../utils/formatters';
 import { toast } from 'react-toastify';
+import PendingOrderBanner from './PendingOrderBanner';
+import UpcomingPurchases from './UpcomingPurchases';
+import LimitsCard from './LimitsCard';
+import ReferralSummary from './ReferralSummary';
 
 const Dashboard = () => {
   const [statistics, setStatistics] = useState(null);
@@ -25,6 +29,15 @@ const Dashboard = () => {
     }
   };
 
+  // Amounts in different currencies can't be summed - totals come grouped
+  // per currency (older backends only report a single USD total)
+  const fiatTotals = statistics?.totalsByCurrency?.length
+    ? statistics.totalsByCurrency
+    : [{ currency: 'USD', total: statistics?.totalUSD || 0 }];
+  const cryptoTotals = statistics?.totalsByAsset?.length
+    ? statistics.totalsByAsset
+    : [{ asset: 'USDT', total: statistics?.totalUSDT || 0 }];
+
   if (loading) {
     return (
       <div className="flex justify-center items-center min-h-screen">
@@ -35,6 +48,8 @@ const Dashboard = () => {
 
   return (
     <div className="space-y-6">
+      <PendingOrderBanner />
+
       {/* Stats Cards */}
       <div className="grid grid-cols-1 md:grid-cols-4 gap-6">
         <div className="card bg-gradient-to-br from-blue-500 to-blue-600 text-white">
@@ -43,13 +58,27 @@ const Dashboard = () => {
         </div>
 
         <div className="card bg-gradient-to-br from-green-500 to-green-600 text-white">
-          <div className="text-sm opacity-90">Total USD Spent</div>
-          <div className="text-3xl font-bold mt-2">{formatCurrency(statistics?.totalUSD || 0)}</div>
+          <div className="text-sm opacity-90">Total Spent</div>
+          {fiatTotals.map(({ currency, total }) => (
+            <div
+              key={currency}
+              className={`font-bold mt-2 ${fiatTotals.length > 1 ? 'text-xl' : 'text-3xl'}`}
+            >
+              {formatCurrency(total, currency)}
+            </div>
+          ))}
         </div>
 
         <div className="card bg-gradient-to-br from-purple-500 to-purple-600 text-white">
-          <div className="text-sm opacity-90">Total USDT Received</div>
-          <div className="text-3xl font-bold mt-2">{formatCrypto(statistics?.totalUSDT || 0)}</div>
+          <div className="text-sm opacity-90">Total Received</div>
+          {cryptoTotals.map(({ asset, total }) => (
+            <div
+              key={asset}
+              className={`font-bold mt-2 ${cryptoTotals.length > 1 ? 'text-xl' : 'text-3xl'}`}
+            >
+              {formatCrypto(total, asset)}
+            </div>
+          ))}
         </div>
 
         <div className="card bg-gradient-to-br from-indigo-500 to-indigo-600 text-white">
@@ -75,7 +104,7 @@ const Dashboard = () => {
             </div>
             <div>
               <div className="font-semibold text-gray-900">New Payment</div>
-              <div className="text-sm text-gray-600">Convert USD to USDT</div>
+              <div className="text-sm text-gray-600">Buy USDT, USDC or DAI with USD, EUR or GBP</div>
             </div>
           </Link>
 
@@ -104,6 +133,12 @@ const Dashboard = () => {
         </div>
       </div>
 
+      <LimitsCard />
+
+      <UpcomingPurchases />
+
+      <ReferralSummary />
+
       {/* Recent Transactions */}
       <div className="card">
         <div className="flex items-center justify-between mb-6">
@@ -127,8 +162,8 @@ const Dashboard = () => {
               <thead className="bg-gray-50">
                 <tr>
                   <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Date</th>
-                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Amount USD</th>
-                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">USDT Received</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Amount</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Received</th>
                   <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
                   <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Action</th>
                 </tr>
@@ -140,10 +175,10 @@ const Dashboard = () => {
                       {formatDate(transaction.initiatedAt)}
                     </td>
                     <td className="px-4 py-4 text-sm font-medium text-gray-900">
-                      {formatCurrency(transaction.amountUSD)}
+                      {formatAmountPaid(transaction)}
                     </td>
                     <td className="px-4 py-4 text-sm font-medium text-primary-600">
-                      {formatCrypto(transaction.usdtAmount)}
+                      {formatAmountReceived(transaction)}
                     </td>
                     <td className="px-4 py-4">
                       <span className={`px-2 py-1 text-xs font-medium rounded-full ${getStatusColor(transaction.status)}`}>
@@ -0,0 +1,22 @@
+import React from 'react';
+import { FIAT_CURRENCIES } from '../utils/currencies';
+
+const FiatCurrencySelect = ({ value, onChange, disabled = false }) => {
+  return (
+    <select
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      disabled={disabled}
+      className="input w-32"
+      aria-label="Currency"
+    >
+      {Object.values(FIAT_CURRENCIES).map((currency) => (
+        <option key={currency.code} value={currency.code}>
+          {currency.flag} {currency.code}
+        </option>
+      ))}
+    </select>
+  );
+};
+
+export default FiatCurrencySelect;
@@ -0,0 +1,83 @@
+import React from 'react';
+import { formatCurrency, formatDate } from '../utils/formatters';
+import { getPeriodLabel, getUsagePercent, getUsageColor } from '../utils/limits';
+import useLimits from '../hooks/useLimits';
+
+// Dashboard card: verification tier, usage of each period limit and what it
+// takes to reach the next tier
+const LimitsCard = () => {
+  const { limits, loading } = useLimits();
+
+  // Non-critical - the dashboard works without it
+  if (loading || !limits) {
+    return null;
+  }
+
+  const { currency, tier, periods = [], nextTier } = limits;
+
+  return (
+    <div className="card">
+      <div className="flex items-center justify-between mb-6">
+        <h2 className="text-xl font-bold">Your Limits</h2>
+        <span className="px-3 py-1 text-sm font-medium rounded-full bg-primary-100 text-primary-800">
+          {tier?.name || 'Unverified'}
+        </span>
+      </div>
+
+      <div className="space-y-4">
+        {periods.map((period) => {
+          const percent = getUsagePercent(period);
+
+          return (
+            <div key={period.period}>
+              <div className="flex justify-between text-sm mb-1">
+                <span className="font-medium text-gray-700">{getPeriodLabel(period.period)}</span>
+                <span className="text-gray-600">
+                  {formatCurrency(period.used, currency)} of {formatCurrency(period.limit, currency)}
+                </span>
+              </div>
+              <div className="w-full h-2 bg-gray-200 rounded-full overflow-hidden">
+                <div className={`h-2 rounded-full ${getUsageColor(percent)}`} style={{ width: `${percent}%` }} />
+              </div>
+              <div className="flex justify-between text-xs text-gray-500 mt-1">
+                <span>{formatCurrency(period.remaining, currency)} left</span>
+                {period.resetsAt && <span>Resets {formatDate(period.resetsAt)}</span>}
+              </div>
+            </div>
+          );
+        })}
+
+        {tier?.perTransaction != null && (
+          <p className="text-sm text-gray-600">
+            Up to {formatCurrency(tier.perTransaction, currency)} per purchase
+          </p>
+        )}
+      </div>
+
+      {nextTier && (
+        <div className="mt-6 pt-6 border-t border-gray-200">
+          <h3 className="font-semibold text-gray-900">
+            Upgrade to {nextTier.name}
+          </h3>
+          <p className="text-sm text-gray-600 mt-1">
+            {nextTier.perTransaction != null && `Up to ${formatCurrency(nextTier.perTransaction, currency)} per purchase`}
+            {nextTier.perTransaction != null && nextTier.limits?.monthly != null && ' · '}
+            {nextTier.limits?.monthly != null && `${formatCurrency(nextTier.limits.monthly, currency)} per month`}
+          </p>
+          {nextTier.requirements?.length > 0 && (
+            <ul className="mt-3 space-y-2 text-sm text-gray-600">
+              {nextTier.requirements.map((requirement) => (
+                <li key={requirement} className="flex items-start space-x-2">
+                  <span className="text-primary-600">→</span>
+                  <span>{requirement}</span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default LimitsCard;
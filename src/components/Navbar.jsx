@@ -30,6 +30,21 @@ const Navbar = () => {
                 <Link to="/transactions" className="text-gray-700 hover:text-primary-600">
                   Transactions
                 </Link>
+                <Link to="/sell" className="text-gray-700 hover:text-primary-600">
+                  Sell
+                </Link>
+                <Link to="/addresses" className="text-gray-700 hover:text-primary-600">
+                  Addresses
+                </Link>
+                <Link to="/recurring" className="text-gray-700 hover:text-primary-600">
+                  Recurring
+                </Link>
+                <Link to="/requests" className="text-gray-700 hover:text-primary-600">
+                  Requests
+                </Link>
+                <Link to="/referrals" className="text-gray-700 hover:text-primary-600">
+                  Referrals
+                </Link>
                 <div className="flex items-center space-x-3">
                   <span className="text-sm text-gray-600">
                     {user?.email}
@@ -0,0 +1,116 @@
+import React from 'react';
+import { formatCurrency, formatCrypto } from '../utils/formatters';
+import { getNetwork, getNetworkLabel, formatArrivalTime } from '../utils/networks';
+
+// Warn when the network fee eats this share of the purchase (small amounts on
+// expensive networks, e.g. $30 on Ethereum)
+const HIGH_FEE_SHARE = 0.05;
+
+/**
+ * Network picker for the purchase form that compares, for the current amount,
+ * each network's fee, arrival time and what the buyer actually receives.
+ * `fees` comes from useNetworkFees; without it the rows still work as a plain
+ * network selector.
+ */
+const NetworkFeeComparison = ({
+  networks,
+  value,
+  onChange,
+  fees,
+  loading,
+  error,
+  onRetry,
+  fiatAmount,
+  fiatCurrency,
+  cryptoCurrency,
+  disabled,
+}) => {
+  const estimates = networks.map((key) => fees?.[key]).filter(Boolean);
+  const cheapest = estimates.length > 1
+    ? estimates.reduce((best, fee) => (fee.networkFee < best.networkFee ? fee : best)).network
+    : null;
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-2">
+        <label className="block text-sm font-medium text-gray-700">
+          Network
+        </label>
+        {loading && <span className="text-xs text-gray-500 animate-pulse">Updating fees...</span>}
+      </div>
+
+      <div className={`space-y-2 transition-opacity ${loading && fees ? 'opacity-60' : ''}`}>
+        {networks.map((key) => {
+          const fee = fees?.[key];
+          const feeShare = fee && fiatAmount > 0 ? fee.networkFee / fiatAmount : 0;
+          const selected = value === key;
+
+          return (
+            <button
+              key={key}
+              type="button"
+              onClick={() => onChange(key)}
+              disabled={disabled}
+              className={`w-full p-4 rounded-lg border-2 text-left transition ${
+                selected
+                  ? 'border-primary-600 bg-primary-50'
+                  : key === cheapest
+                    ? 'border-green-300 hover:border-green-400'
+                    : 'border-gray-200 hover:border-gray-300'
+              } ${disabled && !selected ? 'opacity-50' : ''}`}
+            >
+              <div className="flex items-center justify-between">
+                <span className="font-semibold text-gray-900">
+                  {getNetworkLabel(key)}
+                  <span className="ml-1 font-normal text-gray-500">({getNetwork(key).name})</span>
+                </span>
+                {key === cheapest && (
+                  <span className="px-2 py-0.5 text-xs font-medium bg-green-100 text-green-800 rounded-full">
+                    Cheapest
+                  </span>
+                )}
+              </div>
+
+              {fee ? (
+                <div className="mt-2 grid grid-cols-3 gap-2 text-sm">
+                  <div>
+                    <div className="text-xs text-gray-500">Network fee</div>
+                    <div className="font-medium">{formatCurrency(fee.networkFee, fiatCurrency)}</div>
+                  </div>
+                  <div>
+                    <div className="text-xs text-gray-500">Arrives in</div>
+                    <div className="font-medium">{formatArrivalTime(fee.arrivalMinutes)}</div>
+                  </div>
+                  <div>
+                    <div className="text-xs text-gray-500">You receive</div>
+                    <div className="font-medium">{formatCrypto(fee.cryptoAmount, cryptoCurrency)}</div>
+                  </div>
+                </div>
+              ) : loading ? (
+                <div className="mt-2 h-9 bg-gray-100 rounded animate-pulse" />
+              ) : null}
+
+              {feeShare >= HIGH_FEE_SHARE && (
+                <p className="mt-2 text-xs text-yellow-800 bg-yellow-50 rounded px-2 py-1">
+                  ⚠️ The network fee is {Math.round(feeShare * 100)}% of this purchase
+                  {cheapest && key !== cheapest ? ` - ${getNetworkLabel(cheapest)} is cheaper` : ''}
+                </p>
+              )}
+            </button>
+          );
+        })}
+      </div>
+
+      {error && (
+        <div className="mt-2 flex items-center justify-between text-sm text-gray-600">
+          <span>Fee estimates unavailable: {error}</span>
+          <button type="button" onClick={onRetry} className="font-medium text-primary-600 hover:text-primary-700">
+            Retry
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default NetworkFeeComparison;
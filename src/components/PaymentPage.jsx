@@ -0,0 +1,199 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useLocation, useNavigate, useParams, useSearchParams } from 'react-router-dom';
+import { paymentAPI } from '../services/api';
+import { useAuth } from '../context/AuthContext';
+import { getPendingOrder } from '../utils/pendingOrder';
+import { getPaymentRequestStatus, isPaymentRequestPayable } from '../utils/paymentRequests';
+import { getEnabledProviders, DEFAULT_PROVIDER_ID } from '../providers';
+import PurchaseForm from './PurchaseForm';
+
+// /payment - choose among the enabled providers, then render the shared
+// purchase form for the chosen one (?provider=<id> selects directly).
+// /pay/:token renders the same flow locked to a shared payment request.
+const PaymentPageContent = () => {
+  const { user } = useAuth();
+  const { token } = useParams();
+  const location = useLocation();
+  const navigate = useNavigate();
+  const [searchParams, setSearchParams] = useSearchParams();
+
+  const [config, setConfig] = useState(null);
+  const [paymentRequest, setPaymentRequest] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  // Resume requested from the dashboard banner (read once, then dropped from history)
+  const [resumeOrder] = useState(() =>
+    location.state?.resumeOrder ? getPendingOrder(user?._id) : null
+  );
+
+  useEffect(() => {
+    fetchConfig();
+
+    if (location.state?.resumeOrder) {
+      navigate(location.pathname + location.search, { replace: true, state: null });
+    }
+  }, []);
+
+  const fetchConfig = async () => {
+    await Promise.all([
+      fetchProviderConfig(),
+      token && fetchPaymentRequest(),
+    ]);
+    setLoading(false);
+  };
+
+  const fetchProviderConfig = async () => {
+    try {
+      const response = await paymentAPI.getProviderConfig();
+      setConfig(response.data);
+    } catch (error) {
+      // Fall back to every provider configured in this build
+      console.error('Failed to load payment provider config:', error);
+    }
+  };
+
+  const fetchPaymentRequest = async () => {
+    try {
+      const response = await paymentAPI.getPaymentRequestByToken(token);
+      setPaymentRequest(response.data.paymentRequest);
+    } catch (error) {
+      console.error('Failed to load payment request:', error);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center min-h-screen">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
+      </div>
+    );
+  }
+
+  if (token && !paymentRequest) {
+    return (
+      <div className="max-w-2xl mx-auto">
+        <div className="card text-center py-12">
+          <div className="text-6xl mb-4">🔗</div>
+          <h2 className="text-2xl font-bold mb-2">Payment Request Not Found</h2>
+          <p className="text-gray-600 mb-4">This link is invalid. Please ask the sender for a new one.</p>
+          <Link to="/dashboard" className="btn btn-primary">Go to Dashboard</Link>
+        </div>
+      </div>
+    );
+  }
+
+  if (paymentRequest && !isPaymentRequestPayable(paymentRequest)) {
+    const messages = {
+      paid: 'This payment request has already been paid.',
+      revoked: 'This payment request was cancelled by the sender.',
+      expired: 'This payment request has expired. Please ask the sender for a new one.',
+    };
+
+    return (
+      <div className="max-w-2xl mx-auto">
+        <div className="card text-center py-12">
+          <div className="text-6xl mb-4">🔗</div>
+          <h2 className="text-2xl font-bold mb-2">Payment Request Unavailable</h2>
+          <p className="text-gray-600 mb-4">{messages[getPaymentRequestStatus(paymentRequest)]}</p>
+          <Link to="/dashboard" className="btn btn-primary">Go to Dashboard</Link>
+        </div>
+      </div>
+    );
+  }
+
+  // A payment request can only be paid with providers that deliver its asset
+  // on its network
+  const providers = getEnabledProviders(config).filter((p) =>
+    !paymentRequest || (
+      p.getAssets().includes(paymentRequest.cryptoCurrency)
+      && p.getNetworks(paymentRequest.cryptoCurrency).includes(paymentRequest.network)
+    )
+  );
+
+  const requestedId = resumeOrder?.providerId
+    || searchParams.get('provider')
+    || config?.defaultProvider
+    || DEFAULT_PROVIDER_ID;
+  const provider = providers.find((p) => p.id === requestedId) || providers[0];
+
+  if (!provider) {
+    return (
+      <div className="max-w-2xl mx-auto">
+        <div className="card bg-red-50 border-2 border-red-200">
+          <h2 className="text-2xl font-bold mb-4 text-red-800">Payments Unavailable</h2>
+          <p className="text-red-700">
+            No payment provider is currently enabled. Please try again later.
+          </p>
+        </div>
+      </div>
+    );
+  }
+
+  const handleSelectProvider = (id) => {
+    setSearchParams({ provider: id }, { replace: true });
+  };
+
+  const Wrapper = provider.Wrapper || React.Fragment;
+
+  return (
+    <div className="max-w-2xl mx-auto space-y-6">
+      {providers.length > 1 && (
+        <div className="card">
+          <h3 className="text-sm font-medium text-gray-700 mb-3">Pay with</h3>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+            {providers.map((p) => (
+              <button
+                key={p.id}
+                type="button"
+                onClick={() => handleSelectProvider(p.id)}
+                className={`flex items-start space-x-3 p-4 rounded-lg border-2 text-left transition ${
+                  p.id === provider.id
+                    ? 'border-primary-600 bg-primary-50'
+                    : 'border-gray-200 hover:border-gray-300'
+                }`}
+              >
+                <span className="text-2xl">{p.icon}</span>
+                <span>
+                  <span className="block font-semibold text-gray-900">{p.name}</span>
+                  <span className="block text-sm text-gray-600">{p.description}</span>
+                </span>
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {/* Check if the provider is configured */}
+      {!provider.isConfigured() ? (
+        <div className="card bg-red-50 border-2 border-red-200">
+          <h2 className="text-2xl font-bold mb-4 text-red-800">Configuration Error</h2>
+          <p className="text-red-700">
+            {provider.name} payment system is not configured. Please contact the administrator.
+          </p>
+          <p className="text-sm text-red-600 mt-2">
+            Missing: {provider.missingConfig} environment variable
+          </p>
+        </div>
+      ) : (
+        <Wrapper>
+          <PurchaseForm
+            key={provider.id}
+            provider={provider}
+            resumeOrder={resumeOrder?.providerId === provider.id ? resumeOrder : null}
+            paymentRequest={paymentRequest}
+          />
+        </Wrapper>
+      )}
+    </div>
+  );
+};
+
+// React Router keeps the same instance mounted between /payment and
+// /pay/:token, so remount per token - otherwise the form stays locked to a
+// previously opened payment request and a second link is never fetched
+const PaymentPage = () => {
+  const { token } = useParams();
+  return <PaymentPageContent key={token || 'payment'} />;
+};
+
+export default PaymentPage;
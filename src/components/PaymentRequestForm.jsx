@@ -0,0 +1,257 @@
+import React, { useState } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { paymentAPI } from '../services/api';
+import { formatCurrency, copyToClipboard } from '../utils/formatters';
+import { validateAddress } from '../utils/addressValidation';
+import { getNetwork, getNetworkLabel } from '../utils/networks';
+import { DEFAULT_FIAT_CURRENCY, getFiatLimits } from '../utils/currencies';
+import { CRYPTO_ASSETS, DEFAULT_CRYPTO_ASSET, getAssetNetworks } from '../utils/assets';
+import { getPaymentRequestLink } from '../utils/paymentRequests';
+import { getIdempotencyKey, clearIdempotencyKey } from '../utils/idempotency';
+import WalletAddressInput from './WalletAddressInput';
+import AddressPicker from './AddressPicker';
+import FiatCurrencySelect from './FiatCurrencySelect';
+import { toast } from 'react-toastify';
+
+const NOTE_MAX_LENGTH = 200;
+
+// Create a shareable payment request (/requests/new)
+const PaymentRequestForm = () => {
+  const navigate = useNavigate();
+
+  const [formData, setFormData] = useState({
+    amountType: 'fixed',
+    fiatAmount: 100,
+    fiatCurrency: DEFAULT_FIAT_CURRENCY,
+    cryptoCurrency: DEFAULT_CRYPTO_ASSET,
+    network: 'tron',
+    walletAddress: '',
+    note: '',
+    expiresAt: '',
+  });
+  const [saving, setSaving] = useState(false);
+
+  // Whichever provider the payer picks, the amount must fit Transak's range
+  const limits = getFiatLimits(formData.fiatCurrency, 'transak');
+  const networks = getAssetNetworks(formData.cryptoCurrency);
+
+  const updateField = (name, value) => {
+    setFormData((current) => ({ ...current, [name]: value }));
+  };
+
+  const handleChange = (e) => {
+    updateField(e.target.name, e.target.value);
+  };
+
+  // Switching asset may rule out the current network (e.g. USDC on Tron)
+  const handleAssetChange = (e) => {
+    const cryptoCurrency = e.target.value;
+    const assetNetworks = getAssetNetworks(cryptoCurrency);
+    setFormData({
+      ...formData,
+      cryptoCurrency,
+      network: assetNetworks.includes(formData.network) ? formData.network : assetNetworks[0],
+    });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const fiatAmount = parseFloat(formData.fiatAmount) || 0;
+    if (fiatAmount < limits.min || fiatAmount > limits.max) {
+      toast.error(`Amount must be between ${formatCurrency(limits.min, formData.fiatCurrency)} and ${formatCurrency(limits.max, formData.fiatCurrency)}`);
+      return;
+    }
+
+    const addressCheck = validateAddress(formData.walletAddress, formData.network);
+    if (!addressCheck.valid) {
+      toast.error(addressCheck.error);
+      return;
+    }
+
+    const expiresAt = formData.expiresAt ? new Date(formData.expiresAt) : null;
+    if (expiresAt && expiresAt <= new Date()) {
+      toast.error('Expiry must be in the future');
+      return;
+    }
+
+    setSaving(true);
+
+    try {
+      const data = {
+        ...formData,
+        fiatAmount,
+        note: formData.note.trim(),
+        expiresAt: expiresAt ? expiresAt.toISOString() : null,
+      };
+      const response = await paymentAPI.createPaymentRequest(data, getIdempotencyKey('paymentRequest', data));
+      const { paymentRequest } = response.data;
+      clearIdempotencyKey('paymentRequest');
+
+      const copied = await copyToClipboard(getPaymentRequestLink(paymentRequest.token));
+      toast.success(copied ? 'Payment request created - link copied to clipboard' : 'Payment request created');
+      navigate('/requests');
+    } catch (error) {
+      toast.error(error.message || 'Failed to create payment request');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="max-w-2xl mx-auto">
+      <div className="card">
+        <h2 className="text-2xl font-bold mb-2">New Payment Request</h2>
+        <p className="text-gray-600 mb-6">
+          Share a link that lets someone else buy crypto straight into your wallet.
+        </p>
+
+        <form onSubmit={handleSubmit} className="space-y-6">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Amount
+            </label>
+            <div className="grid grid-cols-2 gap-2 mb-3">
+              {[
+                { value: 'fixed', label: 'Fixed', hint: 'Payer cannot change it' },
+                { value: 'suggested', label: 'Suggested', hint: 'Payer can adjust it' },
+              ].map((option) => (
+                <button
+                  key={option.value}
+                  type="button"
+                  onClick={() => updateField('amountType', option.value)}
+                  className={`px-4 py-2 rounded-lg border-2 text-sm font-medium transition ${
+                    formData.amountType === option.value
+                      ? 'border-primary-600 bg-primary-50 text-primary-700'
+                      : 'border-gray-200 text-gray-700 hover:border-gray-300'
+                  }`}
+                >
+                  {option.label}
+                  <span className="block text-xs font-normal text-gray-500">{option.hint}</span>
+                </button>
+              ))}
+            </div>
+            <div className="flex space-x-2">
+              <input
+                type="number"
+                name="fiatAmount"
+                min={limits.min}
+                max={limits.max}
+                step="0.01"
+                value={formData.fiatAmount}
+                onChange={handleChange}
+                className="input"
+                required
+              />
+              <FiatCurrencySelect
+                value={formData.fiatCurrency}
+                onChange={(fiatCurrency) => updateField('fiatCurrency', fiatCurrency)}
+              />
+            </div>
+            <p className="text-sm text-gray-500 mt-1">
+              Min: {formatCurrency(limits.min, formData.fiatCurrency)} | Max: {formatCurrency(limits.max, formData.fiatCurrency)}
+            </p>
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Stablecoin
+              </label>
+              <select
+                name="cryptoCurrency"
+                value={formData.cryptoCurrency}
+                onChange={handleAssetChange}
+                className="input"
+              >
+                {Object.values(CRYPTO_ASSETS).map((asset) => (
+                  <option key={asset.symbol} value={asset.symbol}>
+                    {asset.symbol} ({asset.name})
+                  </option>
+                ))}
+              </select>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Network
+              </label>
+              <select
+                name="network"
+                value={formData.network}
+                onChange={handleChange}
+                className="input"
+              >
+                {networks.map((key) => (
+                  <option key={key} value={key}>
+                    {getNetworkLabel(key)} ({getNetwork(key).name})
+                  </option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          <AddressPicker
+            network={formData.network}
+            value={formData.walletAddress}
+            onSelect={(walletAddress) => updateField('walletAddress', walletAddress)}
+          />
+
+          <WalletAddressInput
+            label={`Your ${formData.cryptoCurrency} Wallet Address (${getNetworkLabel(formData.network)})`}
+            value={formData.walletAddress}
+            onChange={(walletAddress) => updateField('walletAddress', walletAddress)}
+            network={formData.network}
+            required
+          />
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Note (Optional)
+            </label>
+            <textarea
+              name="note"
+              value={formData.note}
+              onChange={handleChange}
+              maxLength={NOTE_MAX_LENGTH}
+              rows={3}
+              className="input"
+              placeholder="e.g. Invoice #1042 - website redesign"
+            />
+            <p className="text-xs text-gray-500 mt-1 text-right">
+              {formData.note.length}/{NOTE_MAX_LENGTH}
+            </p>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Expires (Optional)
+            </label>
+            <input
+              type="datetime-local"
+              name="expiresAt"
+              value={formData.expiresAt}
+              onChange={handleChange}
+              className="input"
+            />
+          </div>
+
+          <div className="flex space-x-3">
+            <Link to="/requests" className="flex-1 btn btn-secondary text-center">
+              Cancel
+            </Link>
+            <button
+              type="submit"
+              disabled={saving}
+              className="flex-1 btn btn-primary"
+            >
+              {saving ? 'Creating...' : 'Create Link'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default PaymentRequestForm;
@@ -0,0 +1,155 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { paymentAPI } from '../services/api';
+import { formatCurrency, formatDate, formatShortDate, truncateAddress, copyToClipboard } from '../utils/formatters';
+import { getNetworkLabel } from '../utils/networks';
+import {
+  getPaymentRequestLink,
+  getPaymentRequestStatus,
+  getPaymentRequestStatusColor,
+} from '../utils/paymentRequests';
+import { toast } from 'react-toastify';
+
+const PaymentRequests = () => {
+  const [requests, setRequests] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [busyId, setBusyId] = useState(null);
+
+  useEffect(() => {
+    fetchRequests();
+  }, []);
+
+  const fetchRequests = async () => {
+    try {
+      const response = await paymentAPI.getPaymentRequests();
+      setRequests(response.data.paymentRequests);
+    } catch (error) {
+      toast.error('Failed to load payment requests');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleCopyLink = async (request) => {
+    const success = await copyToClipboard(getPaymentRequestLink(request.token));
+    if (success) {
+      toast.success('Payment link copied to clipboard');
+    }
+  };
+
+  const handleRevoke = async (request) => {
+    if (!window.confirm('Revoke this payment request? The link will stop working.')) {
+      return;
+    }
+
+    setBusyId(request._id);
+    try {
+      const response = await paymentAPI.revokePaymentRequest(request._id);
+      setRequests(requests.map((r) => (r._id === request._id ? response.data.paymentRequest : r)));
+      toast.success('Payment request revoked');
+    } catch (error) {
+      toast.error(error.message || 'Failed to revoke payment request');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center min-h-screen">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-4xl mx-auto space-y-6">
+      <div className="flex items-center justify-between">
+        <h1 className="text-3xl font-bold">Payment Requests</h1>
+        <Link to="/requests/new" className="btn btn-primary">
+          New Request
+        </Link>
+      </div>
+
+      {requests.length === 0 ? (
+        <div className="card text-center py-12">
+          <div className="text-6xl mb-4">🔗</div>
+          <p className="text-gray-600 mb-2">No payment requests yet</p>
+          <p className="text-sm text-gray-500 mb-4">
+            Create a link so a client or family member can fund your wallet.
+          </p>
+          <Link to="/requests/new" className="btn btn-primary">
+            Create Your First Request
+          </Link>
+        </div>
+      ) : (
+        requests.map((request) => {
+          const status = getPaymentRequestStatus(request);
+
+          return (
+            <div key={request._id} className="card">
+              <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4">
+                <div>
+                  <div className="flex items-center space-x-2">
+                    <span className="text-lg font-semibold text-gray-900">
+                      {formatCurrency(request.fiatAmount, request.fiatCurrency)} of {request.cryptoCurrency}
+                    </span>
+                    {request.amountType === 'suggested' && (
+                      <span className="text-xs text-gray-500">(suggested)</span>
+                    )}
+                    <span className={`px-2 py-1 text-xs font-medium rounded-full ${getPaymentRequestStatusColor(status)}`}>
+                      {status}
+                    </span>
+                  </div>
+                  <div className="text-sm text-gray-600 mt-1">
+                    {getNetworkLabel(request.network)} ·{' '}
+                    <span className="font-mono">{truncateAddress(request.walletAddress)}</span>
+                  </div>
+                  {request.note && (
+                    <div className="text-sm text-gray-500 mt-1 italic">"{request.note}"</div>
+                  )}
+                  <div className="text-xs text-gray-500 mt-1">
+                    Created {formatShortDate(request.createdAt)}
+                    {status === 'paid'
+                      ? ` · Paid ${formatDate(request.paidAt)}`
+                      : request.expiresAt && ` · Expires ${formatDate(request.expiresAt)}`}
+                  </div>
+                </div>
+
+                <div className="flex items-center space-x-3 text-sm">
+                  {status === 'open' && (
+                    <>
+                      <button
+                        onClick={() => handleCopyLink(request)}
+                        className="text-primary-600 hover:text-primary-700 font-medium"
+                      >
+                        Copy Link
+                      </button>
+                      <button
+                        onClick={() => handleRevoke(request)}
+                        disabled={busyId === request._id}
+                        className="text-red-600 hover:text-red-700 disabled:opacity-50"
+                      >
+                        Revoke
+                      </button>
+                    </>
+                  )}
+                  {request.transactionId && (
+                    <Link
+                      to={`/transaction/${request.transactionId}`}
+                      className="text-primary-600 hover:text-primary-700 font-medium"
+                    >
+                      View Transaction →
+                    </Link>
+                  )}
+                </div>
+              </div>
+            </div>
+          );
+        })
+      )}
+    </div>
+  );
+};
+
+export default PaymentRequests;
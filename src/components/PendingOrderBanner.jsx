@@ -0,0 +1,112 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { getProvider } from '../providers';
+import { useAuth } from '../context/AuthContext';
+import { getPendingOrder, clearPendingOrder } from '../utils/pendingOrder';
+import { formatCurrency, formatDate, truncateAddress } from '../utils/formatters';
+import { getNetworkLabel } from '../utils/networks';
+import { isTerminalStatus } from '../utils/transactionStatuses';
+import { toast } from 'react-toastify';
+
+/**
+ * "You have an unfinished purchase" banner (shown on /payment and /dashboard).
+ *
+ * On /payment the form passes `onResume` to reopen the widget in place;
+ * elsewhere Resume navigates to /payment, which picks the order up from
+ * router state.
+ */
+const PendingOrderBanner = ({ onResume }) => {
+  const { user } = useAuth();
+  const navigate = useNavigate();
+  const [order, setOrder] = useState(() => getPendingOrder(user?._id));
+  const [abandoning, setAbandoning] = useState(false);
+
+  const provider = order ? getProvider(order.providerId) : null;
+
+  useEffect(() => {
+    if (order && provider?.getOrderStatus) {
+      verifyOrder();
+    }
+  }, []);
+
+  // The order may have settled via webhook while we were away
+  const verifyOrder = async () => {
+    try {
+      const status = await provider.getOrderStatus(order.orderId);
+
+      if (isTerminalStatus(status)) {
+        clearPendingOrder(order.orderId);
+        setOrder(null);
+      }
+    } catch (error) {
+      console.error('Failed to verify pending order:', error);
+    }
+  };
+
+  const handleResume = () => {
+    if (onResume) {
+      onResume(order);
+    } else {
+      navigate('/payment', { state: { resumeOrder: true } });
+    }
+  };
+
+  const handleAbandon = async () => {
+    if (!window.confirm('Abandon this purchase? You can start a new one at any time.')) {
+      return;
+    }
+
+    setAbandoning(true);
+    try {
+      await provider.cancelOrder(order.orderId, 'Abandoned by user');
+      clearPendingOrder(order.orderId);
+      setOrder(null);
+      toast.info('Purchase abandoned');
+    } catch (error) {
+      toast.error(error.message || 'Failed to cancel the purchase. Please try again.');
+    } finally {
+      setAbandoning(false);
+    }
+  };
+
+  if (!order || !provider) {
+    return null;
+  }
+
+  return (
+    <div className="bg-yellow-50 border border-yellow-300 rounded-lg p-4">
+      <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4">
+        <div className="flex items-start space-x-3">
+          <span className="text-2xl">⏸️</span>
+          <div>
+            <h3 className="font-semibold text-yellow-900">You have an unfinished purchase</h3>
+            <p className="text-sm text-yellow-800 mt-1">
+              {formatCurrency(order.fiatAmount, order.fiatCurrency)} of {order.cryptoCurrency} on {getNetworkLabel(order.network)} to{' '}
+              <span className="font-mono">{truncateAddress(order.walletAddress)}</span>
+              {' '}· started {formatDate(order.savedAt)}
+            </p>
+          </div>
+        </div>
+
+        <div className="flex space-x-2 flex-shrink-0">
+          <button
+            onClick={handleAbandon}
+            disabled={abandoning}
+            className="btn btn-secondary text-sm"
+          >
+            {abandoning ? 'Cancelling...' : 'Abandon'}
+          </button>
+          <button
+            onClick={handleResume}
+            disabled={abandoning}
+            className="btn btn-primary text-sm"
+          >
+            Resume
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PendingOrderBanner;
@@ -0,0 +1,93 @@
+import React, { useState } from 'react';
+import { formatPromoEffect } from '../utils/promoCodes';
+
+// Collapsed "Have a promo code?" link that expands into code entry. Shows the
+// applied code with its effect, or why it was rejected.
+const PromoCodeField = ({ code, promo, error, validating, onApply, onRemove, fiatCurrency, cryptoCurrency, disabled }) => {
+  const [open, setOpen] = useState(!!code);
+  const [value, setValue] = useState(code || '');
+
+  if (code && promo) {
+    return (
+      <div className="flex items-center justify-between p-3 bg-green-50 border border-green-200 rounded-lg text-sm">
+        <span className="text-green-800">
+          <span className="font-mono font-semibold">{code}</span> applied: {formatPromoEffect(promo, fiatCurrency, cryptoCurrency)}
+          {promo.description && <span className="block text-xs text-green-700">{promo.description}</span>}
+        </span>
+        <button
+          type="button"
+          onClick={onRemove}
+          disabled={disabled}
+          className="font-medium text-green-700 hover:text-green-900"
+        >
+          Remove
+        </button>
+      </div>
+    );
+  }
+
+  if (!open) {
+    return (
+      <button
+        type="button"
+        onClick={() => setOpen(true)}
+        disabled={disabled}
+        className="text-sm font-medium text-primary-600 hover:text-primary-700"
+      >
+        Have a promo or referral code?
+      </button>
+    );
+  }
+
+  const handleApply = () => {
+    if (value.trim()) {
+      onApply(value);
+    }
+  };
+
+  return (
+    <div>
+      <label className="block text-sm font-medium text-gray-700 mb-2">
+        Promo or referral code
+      </label>
+      <div className="flex space-x-2">
+        <input
+          type="text"
+          value={value}
+          onChange={(e) => setValue(e.target.value)}
+          onKeyDown={(e) => {
+            // Enter applies the code instead of moving to the next step
+            if (e.key === 'Enter') {
+              e.preventDefault();
+              handleApply();
+            }
+          }}
+          className={`input font-mono uppercase ${error ? 'border-red-500 focus:ring-red-500' : ''}`}
+          placeholder="e.g. WELCOME10"
+          disabled={disabled}
+          autoComplete="off"
+        />
+        <button
+          type="button"
+          onClick={handleApply}
+          disabled={disabled || validating || !value.trim()}
+          className="btn btn-secondary"
+        >
+          {validating ? 'Checking...' : 'Apply'}
+        </button>
+      </div>
+      {error && (
+        <p className="text-sm text-red-600 mt-1">
+          {error}
+          {code && (
+            <button type="button" onClick={onRemove} className="ml-2 underline">
+              Remove code
+            </button>
+          )}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default PromoCodeField;
@@ -0,0 +1,770 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import { formatCurrency, formatCrypto } from '../utils/formatters';
+import { validateAddress } from '../utils/addressValidation';
+import { getNetwork, getNetworkLabel, formatArrivalTime } from '../utils/networks';
+import { DEFAULT_FIAT_CURRENCY } from '../utils/currencies';
+import { CRYPTO_ASSETS } from '../utils/assets';
+import { getEffectiveLimits, getLimitReason } from '../utils/limits';
+import { PROMO_ERRORS, getPromoErrorMessage, formatPromoEffect } from '../utils/promoCodes';
+import { savePendingOrder, clearPendingOrder } from '../utils/pendingOrder';
+import { getIdempotencyKey, clearIdempotencyKey } from '../utils/idempotency';
+import { PROVIDER_EVENTS, FINAL_EVENTS } from '../providers';
+import useQuote from '../hooks/useQuote';
+import useNetworkFees from '../hooks/useNetworkFees';
+import useLimits from '../hooks/useLimits';
+import useAddressRisk from '../hooks/useAddressRisk';
+import usePromoCode from '../hooks/usePromoCode';
+import WalletAddressInput from './WalletAddressInput';
+import AddressPicker from './AddressPicker';
+import FiatCurrencySelect from './FiatCurrencySelect';
+import QuotePreview from './QuotePreview';
+import NetworkFeeComparison from './NetworkFeeComparison';
+import AddressDisplay from './AddressDisplay';
+import AddressRiskWarning from './AddressRiskWarning';
+import PromoCodeField from './PromoCodeField';
+import PendingOrderBanner from './PendingOrderBanner';
+import { toast } from 'react-toastify';
+
+// Purchase wizard steps, in order. Going back keeps everything entered.
+const STEPS = [
+  { key: 'amount', label: 'Amount' },
+  { key: 'destination', label: 'Destination' },
+  { key: 'review', label: 'Review' },
+  { key: 'pay', label: 'Pay' },
+];
+const PAY_STEP = STEPS.length - 1;
+
+/**
+ * Purchase form shared by every payment provider.
+ *
+ * A wizard: amount → destination → review → pay. Nothing is created or
+ * charged before the pay step, and the review step requires the buyer to
+ * confirm the destination address.
+ *
+ * Amount, asset, network and wallet entry, the live quote and success
+ * navigation live here; anything provider-specific (quotes, order creation,
+ * the checkout itself, extra fields such as a card input) comes from the
+ * provider object. See src/providers/index.js for the interface.
+ *
+ * With a `paymentRequest` the form is pre-filled from it and locked: only a
+ * suggested amount can still be changed.
+ */
+const PurchaseForm = ({ provider, resumeOrder, paymentRequest }) => {
+  const { user } = useAuth();
+  const navigate = useNavigate();
+
+  const assets = provider.getAssets();
+
+  const [fiatAmount, setFiatAmount] = useState(paymentRequest?.fiatAmount ?? provider.defaultAmount);
+  const [fiatCurrency, setFiatCurrency] = useState(paymentRequest?.fiatCurrency || DEFAULT_FIAT_CURRENCY);
+  const [cryptoCurrency, setCryptoCurrency] = useState(paymentRequest?.cryptoCurrency || assets[0]);
+  const [network, setNetwork] = useState(paymentRequest?.network || provider.getNetworks(assets[0])[0]);
+  const [walletAddress, setWalletAddress] = useState(paymentRequest?.walletAddress || '');
+  const [step, setStep] = useState(0);
+  const [addressConfirmed, setAddressConfirmed] = useState(false);
+  // When the user chose to go ahead despite destination risks (ISO time)
+  const [riskOverrideAt, setRiskOverrideAt] = useState(null);
+  const [processing, setProcessing] = useState(false);
+  const [checkoutHandle, setCheckoutHandle] = useState(null);
+  // Order whose checkout failed but can be retried (e.g. another card on the
+  // same Stripe PaymentIntent)
+  const [retryOrder, setRetryOrder] = useState(null);
+
+  // Provider checkout fields (e.g. Stripe Payment Element) put what launchCheckout needs here
+  const checkoutRef = useRef(null);
+  const currentOrderRef = useRef(null);
+
+  // Same form state → same idempotency key, so a double click or a re-submit
+  // after a timeout can't create a second order
+  const idempotencyScope = `order:${provider.id}`;
+
+  const locked = !!paymentRequest;
+  const amountLocked = locked && paymentRequest.amountType === 'fixed';
+
+  const networks = provider.getNetworks(cryptoCurrency);
+  // Provider range narrowed by the user's tier and remaining period limits
+  const { limits: userLimits, loading: limitsLoading, refresh: refreshLimits } = useLimits(fiatCurrency);
+  const limits = getEffectiveLimits(provider.getLimits(fiatCurrency), userLimits);
+  const limitReason = getLimitReason(limits.limitedBy, userLimits?.tier?.name);
+  const limitReached = limits.max < limits.min;
+  const amountInRange = fiatAmount >= limits.min && fiatAmount <= limits.max;
+
+  const {
+    code: promoCodeInput,
+    promo,
+    error: promoError,
+    validating: promoValidating,
+    apply: applyPromo,
+    remove: removePromo,
+  } = usePromoCode(provider, { fiatAmount, fiatCurrency, cryptoCurrency });
+  // Only a code that validated for this purchase is priced in and sent
+  const promoCode = promo?.code;
+
+  const {
+    quote,
+    loading: quoteLoading,
+    error: quoteError,
+    refreshed: quoteRefreshed,
+    refresh: refreshQuote,
+  } = useQuote(provider, {
+    fiatAmount,
+    fiatCurrency,
+    cryptoCurrency,
+    network,
+    promoCode,
+    enabled: amountInRange && !processing,
+  });
+
+  // Only worth comparing when there is a choice to make
+  const {
+    fees: networkFees,
+    loading: networkFeesLoading,
+    error: networkFeesError,
+    refresh: refreshNetworkFees,
+  } = useNetworkFees(provider, {
+    fiatAmount,
+    fiatCurrency,
+    cryptoCurrency,
+    networks,
+    enabled: amountInRange && !processing && !locked && networks.length > 1,
+  });
+
+  // Clipboard-swapped / look-alike / first-time destinations need an explicit
+  // go-ahead. A payment request's address is the requester's, so only the
+  // blocklist applies there.
+  const addressValid = validateAddress(walletAddress, network).valid;
+  const addressRisks = useAddressRisk(addressValid ? walletAddress : '', { blocklistOnly: locked });
+  // Stable key for the set of risks, so an acknowledgement only covers the risks shown
+  const addressRiskKey = addressRisks.map((risk) => risk.type).sort().join(',');
+
+  // Switching asset may rule out the current network (e.g. USDC on Tron)
+  const handleAssetChange = (symbol) => {
+    setCryptoCurrency(symbol);
+    if (!provider.getNetworks(symbol).includes(network)) {
+      setNetwork(provider.getNetworks(symbol)[0]);
+    }
+  };
+
+  const handleCheckoutEvent = (event) => {
+    switch (event.type) {
+      case PROVIDER_EVENTS.OPENED:
+        if (event.message) toast.info(event.message);
+        break;
+      case PROVIDER_EVENTS.COMPLETED:
+        toast.success(event.message || 'Payment successful!');
+        clearPendingOrder(event.orderId);
+        navigate(`/transaction/${event.orderId}`);
+        break;
+      case PROVIDER_EVENTS.PROCESSING:
+        toast.info(event.message || 'Payment is processing...');
+        clearPendingOrder(event.orderId);
+        navigate(`/transaction/${event.orderId}`);
+        break;
+      case PROVIDER_EVENTS.FAILED:
+        toast.error(event.message || 'Payment failed');
+        clearPendingOrder(event.orderId);
+        setRetryOrder(event.retryable ? currentOrderRef.current : null);
+        break;
+      case PROVIDER_EVENTS.CANCELLED:
+        toast.warning(event.message || 'Purchase cancelled');
+        clearPendingOrder(event.orderId);
+        break;
+      default:
+        break;
+    }
+
+    // The order has an outcome - the next submit is a new order. (Closing the
+    // widget doesn't count: re-submitting then continues the same order.)
+    if (event.type !== PROVIDER_EVENTS.OPENED && event.type !== PROVIDER_EVENTS.CLOSED && !event.retryable) {
+      clearIdempotencyKey(idempotencyScope);
+    }
+
+    if (FINAL_EVENTS.includes(event.type)) {
+      setProcessing(false);
+      setCheckoutHandle(null);
+    }
+  };
+
+  const launchCheckout = async (order) => {
+    currentOrderRef.current = order;
+    const handle = await provider.launchCheckout(order, {
+      user,
+      checkout: checkoutRef.current,
+      onEvent: handleCheckoutEvent,
+    });
+    setCheckoutHandle(handle);
+  };
+
+  // What keeps the buyer from leaving a step (null when it's complete)
+  const getStepError = (index) => {
+    switch (STEPS[index].key) {
+      case 'amount':
+        // Until the user's limits for this currency arrive, the range isn't known
+        if (limitsLoading) {
+          return 'Checking your purchase limits...';
+        }
+        if (!amountInRange) {
+          return `Amount must be between ${formatCurrency(limits.min, fiatCurrency)} and ${formatCurrency(limits.max, fiatCurrency)}`;
+        }
+        return quote ? null : 'Please wait for the price quote';
+      case 'destination': {
+        if (!walletAddress) {
+          return `Please enter your ${cryptoCurrency} wallet address`;
+        }
+        // Validate wallet address format and checksum for the selected network
+        const addressCheck = validateAddress(walletAddress, network);
+        if (!addressCheck.valid) {
+          return addressCheck.error;
+        }
+        return addressRisks.length && !riskOverrideAt ? 'Please confirm you want to use this address' : null;
+      }
+      case 'review':
+        return addressConfirmed ? null : 'Please confirm the destination address';
+      default:
+        return null;
+    }
+  };
+
+  const goToStep = (index) => {
+    if (processing) return;
+
+    // Forward only through completed steps
+    for (let i = step; i < index; i++) {
+      const error = getStepError(i);
+      if (error) {
+        toast.error(error);
+        setStep(i);
+        return;
+      }
+    }
+    setStep(index);
+  };
+
+  // Any change to the destination needs a fresh confirmation
+  useEffect(() => {
+    setAddressConfirmed(false);
+    setRiskOverrideAt(null);
+  }, [walletAddress, network]);
+
+  // Risks can appear after the buyer acknowledged (e.g. once used addresses
+  // load) - the acknowledgement must cover exactly what they saw
+  useEffect(() => {
+    setRiskOverrideAt(null);
+  }, [addressRiskKey]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (processing) return;
+
+    // Enter on an earlier step moves on instead of paying
+    if (step < PAY_STEP) {
+      goToStep(step + 1);
+      return;
+    }
+
+    if (quote?.expiresAt && new Date(quote.expiresAt) <= new Date()) {
+      toast.warning('Your quote expired. Please review the updated price.');
+      refreshQuote();
+      return;
+    }
+
+    // Earlier steps may no longer hold (e.g. limits changed) - send the buyer back
+    for (let i = 0; i < PAY_STEP; i++) {
+      const error = getStepError(i);
+      if (error) {
+        toast.error(error);
+        setStep(i);
+        return;
+      }
+    }
+
+    setProcessing(true);
+
+    try {
+      // Provider-side validation first (e.g. Stripe Payment Element)
+      const checkoutError = provider.validateCheckout
+        ? await provider.validateCheckout(checkoutRef.current)
+        : null;
+      if (checkoutError) {
+        toast.error(checkoutError);
+        setProcessing(false);
+        return;
+      }
+
+      const params = {
+        fiatAmount,
+        fiatCurrency,
+        cryptoCurrency,
+        walletAddress,
+        network,
+        paymentRequestId: paymentRequest?._id,
+        promoCode,
+      };
+
+      // A new locked quote is a new order, hence part of the key
+      const quoteId = quote?.quoteId;
+
+      // Retry the failed order as long as nothing it was created with changed -
+      // including the quote, which is refetched once the failed attempt ends
+      // and would otherwise be charged at the old order's price
+      if (retryOrder && retryOrder.quoteId === quoteId
+        && Object.keys(params).every((key) => retryOrder[key] === params[key])) {
+        await launchCheckout(retryOrder);
+        return;
+      }
+      setRetryOrder(null);
+      const idempotencyKey = getIdempotencyKey(idempotencyScope, { ...params, quoteId, userId: user._id });
+      // Recorded on the transaction so support can see the warning was overridden
+      const metadata = addressRisks.length ? {
+        addressRiskOverride: {
+          risks: addressRisks.map((risk) => risk.type),
+          confirmedAt: riskOverrideAt,
+        },
+      } : undefined;
+      const created = await provider.createOrder({ ...params, quoteId, metadata, user, idempotencyKey });
+      const order = { ...created, ...params, quoteId, providerId: provider.id, userId: user._id };
+
+      if (created.duplicate) {
+        await handleDuplicateOrder(order);
+        return;
+      }
+
+      // Persist the order so it can be resumed after a reload or widget crash
+      if (provider.resumable) {
+        savePendingOrder(order);
+      }
+
+      await launchCheckout(order);
+    } catch (error) {
+      console.error(`❌ Error starting ${provider.name} checkout:`, error);
+      if (error.code === 'QUOTE_EXPIRED') {
+        // The lock ran out while submitting - show the new price before charging
+        toast.warning('Your quote expired. Please review the updated price and try again.');
+        refreshQuote();
+      } else if (PROMO_ERRORS[error.code]) {
+        // The code stopped applying (expired, used up) - show the full price first
+        toast.error(getPromoErrorMessage(error));
+        removePromo();
+        setStep(0);
+      } else if (error.code === 'LIMIT_EXCEEDED') {
+        // Another purchase used up the limit since it was loaded
+        toast.error(error.message || 'This amount exceeds your purchase limit');
+        refreshLimits();
+      } else {
+        toast.error(error.message || 'Failed to initialize payment. Please try again.');
+      }
+      setProcessing(false);
+    }
+  };
+
+  // The backend already had an order for this submission (retried request or
+  // double submit). Continue that one if the provider can, else show it.
+  const handleDuplicateOrder = async (order) => {
+    if (provider.resumable) {
+      toast.info('You already started this order - continuing it');
+      savePendingOrder(order);
+      await launchCheckout(order);
+      return;
+    }
+
+    toast.info('This order was already created - showing it instead of charging you again');
+    navigate(`/transaction/${order.orderId}`);
+  };
+
+  // Reopen the checkout for an unfinished order (same partnerOrderId)
+  const handleResumeOrder = async (order) => {
+    setFiatAmount(order.fiatAmount);
+    setFiatCurrency(order.fiatCurrency);
+    setCryptoCurrency(order.cryptoCurrency);
+    setNetwork(order.network);
+    setWalletAddress(order.walletAddress);
+    setStep(PAY_STEP);
+    setProcessing(true);
+
+    try {
+      await launchCheckout(order);
+    } catch (error) {
+      console.error(`❌ Error resuming ${provider.name} order:`, error);
+      toast.error(error.message || 'Failed to resume payment. Please try again.');
+      setProcessing(false);
+    }
+  };
+
+  // Resume requested from the dashboard banner
+  useEffect(() => {
+    if (resumeOrder) {
+      handleResumeOrder(resumeOrder);
+    }
+  }, []);
+
+  // Cleanup on unmount
+  useEffect(() => {
+    return () => {
+      if (checkoutHandle) {
+        checkoutHandle.close();
+      }
+    };
+  }, [checkoutHandle]);
+
+  const { CheckoutFields } = provider;
+
+  return (
+    <div className="space-y-6">
+      {provider.resumable && !processing && !locked && <PendingOrderBanner onResume={handleResumeOrder} />}
+
+      <div className="card">
+        <div className="mb-6">
+          <h2 className="text-2xl font-bold mb-2">Buy {cryptoCurrency}</h2>
+          <p className="text-gray-600">{provider.description}</p>
+        </div>
+
+        {paymentRequest && (
+          <div className="mb-6 p-4 bg-blue-50 border border-blue-200 rounded-lg text-sm">
+            <p className="font-semibold text-blue-900">
+              Payment request from {paymentRequest.requesterName || 'another user'}
+            </p>
+            {paymentRequest.note && (
+              <p className="text-blue-800 mt-1 italic">"{paymentRequest.note}"</p>
+            )}
+            <p className="text-blue-700 mt-2">
+              The {cryptoCurrency} is sent to their wallet, not yours.
+              {amountLocked ? ' The amount is fixed by the requester.' : ' You can adjust the suggested amount.'}
+            </p>
+          </div>
+        )}
+
+        <form onSubmit={handleSubmit} className="space-y-6">
+          {/* Steps */}
+          <ol className="flex items-center">
+            {STEPS.map((item, index) => (
+              <li key={item.key} className={`flex items-center ${index < PAY_STEP ? 'flex-1' : ''}`}>
+                <button
+                  type="button"
+                  onClick={() => goToStep(index)}
+                  disabled={processing || index > step + 1}
+                  className="flex items-center space-x-2 disabled:cursor-default"
+                >
+                  <span className={`w-8 h-8 rounded-full flex items-center justify-center text-sm font-semibold ${
+                    index < step ? 'bg-green-500 text-white' :
+                    index === step ? 'bg-primary-600 text-white' :
+                    'bg-gray-200 text-gray-600'
+                  }`}>
+                    {index < step ? '✓' : index + 1}
+                  </span>
+                  <span className={`text-sm font-medium hidden sm:inline ${index === step ? 'text-gray-900' : 'text-gray-500'}`}>
+                    {item.label}
+                  </span>
+                </button>
+                {index < PAY_STEP && (
+                  <div className={`flex-1 h-0.5 mx-3 ${index < step ? 'bg-green-500' : 'bg-gray-200'}`}></div>
+                )}
+              </li>
+            ))}
+          </ol>
+
+          {STEPS[step].key === 'amount' && (
+            <>
+              {/* Asset Selection */}
+              {assets.length > 1 && !locked && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Stablecoin
+                  </label>
+                  <div className="grid grid-cols-3 gap-2">
+                    {assets.map((symbol) => (
+                      <button
+                        key={symbol}
+                        type="button"
+                        onClick={() => handleAssetChange(symbol)}
+                        disabled={processing}
+                        className={`px-4 py-2 rounded-lg border-2 text-sm font-medium transition ${
+                          cryptoCurrency === symbol
+                            ? 'border-primary-600 bg-primary-50 text-primary-700'
+                            : 'border-gray-200 text-gray-700 hover:border-gray-300'
+                        }`}
+                      >
+                        {symbol}
+                        <span className="block text-xs font-normal text-gray-500">{CRYPTO_ASSETS[symbol]?.name}</span>
+                      </button>
+                    ))}
+                  </div>
+                </div>
+              )}
+
+              {/* Amount Input */}
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Amount ({fiatCurrency})
+                </label>
+                <div className="flex space-x-2">
+                  <input
+                    type="number"
+                    min={limits.min}
+                    max={limits.max}
+                    step="0.01"
+                    value={fiatAmount}
+                    onChange={(e) => setFiatAmount(parseFloat(e.target.value) || 0)}
+                    className="input text-lg"
+                    disabled={amountLocked}
+                    required
+                  />
+                  <FiatCurrencySelect value={fiatCurrency} onChange={setFiatCurrency} disabled={processing || locked} />
+                </div>
+                {limitsLoading ? (
+                  <p className="text-sm mt-1 text-gray-500">Checking your purchase limits...</p>
+                ) : limitReached ? (
+                  <p className="text-sm mt-1 text-red-600">
+                    You've reached your {limitReason || 'purchase limit'}.{' '}
+                    <Link to="/dashboard" className="font-medium underline">See your limits</Link>
+                  </p>
+                ) : (
+                  <p className={`text-sm mt-1 ${fiatAmount && !amountInRange ? 'text-red-600' : 'text-gray-500'}`}>
+                    Min: {formatCurrency(limits.min, fiatCurrency)} | Max: {formatCurrency(limits.max, fiatCurrency)}
+                    {limitReason && ` (${limitReason})`}
+                  </p>
+                )}
+              </div>
+
+              <PromoCodeField
+                code={promoCodeInput}
+                promo={promo}
+                error={promoError}
+                validating={promoValidating}
+                onApply={applyPromo}
+                onRemove={removePromo}
+                fiatCurrency={fiatCurrency}
+                cryptoCurrency={cryptoCurrency}
+                disabled={processing}
+              />
+
+              {/* Live Quote Preview */}
+              <QuotePreview
+                quote={quote}
+                loading={quoteLoading}
+                error={quoteError}
+                refreshed={quoteRefreshed}
+                onRefresh={refreshQuote}
+                promo={promo}
+              />
+            </>
+          )}
+
+          {STEPS[step].key === 'destination' && (
+            <>
+              {/* Network Selection with fee comparison */}
+              {networks.length > 1 && (
+                <NetworkFeeComparison
+                  networks={networks}
+                  value={network}
+                  onChange={setNetwork}
+                  fees={networkFees}
+                  loading={networkFeesLoading}
+                  error={networkFeesError}
+                  onRetry={refreshNetworkFees}
+                  fiatAmount={fiatAmount}
+                  fiatCurrency={fiatCurrency}
+                  cryptoCurrency={cryptoCurrency}
+                  disabled={processing || locked}
+                />
+              )}
+
+              {/* Wallet Address */}
+              {!locked && (
+                <AddressPicker
+                  network={network}
+                  value={walletAddress}
+                  onSelect={setWalletAddress}
+                />
+              )}
+
+              <WalletAddressInput
+                label={`${locked ? 'Recipient' : cryptoCurrency} Wallet Address (${getNetworkLabel(network)})`}
+                value={walletAddress}
+                onChange={setWalletAddress}
+                network={network}
+                disabled={locked}
+                required
+              />
+
+              <AddressRiskWarning
+                risks={addressRisks}
+                acknowledgedAt={riskOverrideAt}
+                onAcknowledge={setRiskOverrideAt}
+                disabled={processing}
+              />
+            </>
+          )}
+
+          {STEPS[step].key === 'review' && (
+            <>
+              <div className="divide-y divide-gray-200 text-sm">
+                <div className="flex justify-between py-3">
+                  <span className="text-gray-600">You pay</span>
+                  <span className="font-bold">{formatCurrency(fiatAmount, fiatCurrency)}</span>
+                </div>
+                <div className="flex justify-between py-3">
+                  <span className="text-gray-600">You receive</span>
+                  <span className="font-bold text-primary-600">
+                    {quote ? formatCrypto(quote.cryptoAmount, cryptoCurrency) : '...'}
+                  </span>
+                </div>
+                {quote && (
+                  <>
+                    <div className="flex justify-between py-3">
+                      <span className="text-gray-600">Rate</span>
+                      <span className="font-medium">1 {fiatCurrency} = {quote.conversionPrice} {cryptoCurrency}</span>
+                    </div>
+                    <div className="flex justify-between py-3">
+                      <span className="text-gray-600">Fees</span>
+                      <span className="font-medium">
+                        {formatCurrency(quote.totalFee ?? quote.processingFee + (quote.networkFee || 0), fiatCurrency)}
+                        {quote.networkFee != null && (
+                          <span className="text-gray-500"> (incl. {formatCurrency(quote.networkFee, fiatCurrency)} network fee)</span>
+                        )}
+                      </span>
+                    </div>
+                  </>
+                )}
+                {promo && (
+                  <div className="flex justify-between py-3">
+                    <span className="text-gray-600">Promo code</span>
+                    <span className="font-medium text-green-700">
+                      {promo.code} ({formatPromoEffect(promo, fiatCurrency, cryptoCurrency)})
+                    </span>
+                  </div>
+                )}
+                <div className="flex justify-between py-3">
+                  <span className="text-gray-600">Network</span>
+                  <span className="font-medium">
+                    {getNetworkLabel(network)} ({getNetwork(network)?.name})
+                    {networkFees?.[network] && (
+                      <span className="text-gray-500"> · arrives in {formatArrivalTime(networkFees[network].arrivalMinutes)}</span>
+                    )}
+                  </span>
+                </div>
+                <div className="flex justify-between py-3">
+                  <span className="text-gray-600">Paid with</span>
+                  <span className="font-medium">{provider.name}</span>
+                </div>
+              </div>
+
+              <div>
+                <div className="text-sm font-medium text-gray-700 mb-2">
+                  {locked ? 'Recipient' : 'Destination'} wallet address
+                </div>
+                <AddressDisplay address={walletAddress} network={network} />
+                {addressRisks.length > 0 && (
+                  <p className="text-xs text-red-700 mt-1">
+                    ⚠️ Used despite: {addressRisks.map((risk) => risk.title.toLowerCase()).join(', ')}
+                  </p>
+                )}
+              </div>
+
+              <label className="flex items-start space-x-3 p-4 bg-yellow-50 border border-yellow-200 rounded-lg cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={addressConfirmed}
+                  onChange={(e) => setAddressConfirmed(e.target.checked)}
+                  className="mt-1 h-4 w-4"
+                />
+                <span className="text-sm text-yellow-900">
+                  <span className="font-semibold block">I confirm this address is correct</span>
+                  {cryptoCurrency} sent on {getNetworkLabel(network)} to a wrong address cannot be recovered.
+                </span>
+              </label>
+            </>
+          )}
+
+          {STEPS[step].key === 'pay' && (
+            <>
+              {/* Live Quote Preview */}
+              <QuotePreview
+                quote={quote}
+                loading={quoteLoading}
+                error={quoteError}
+                refreshed={quoteRefreshed}
+                onRefresh={refreshQuote}
+                promo={promo}
+              />
+
+              {/* Provider-specific fields (e.g. Stripe Payment Element) */}
+              {CheckoutFields && (
+                <CheckoutFields checkoutRef={checkoutRef} fiatAmount={fiatAmount} fiatCurrency={fiatCurrency} />
+              )}
+            </>
+          )}
+
+          {/* Navigation */}
+          <div className="flex space-x-3">
+            {step > 0 && (
+              <button
+                type="button"
+                onClick={() => setStep(step - 1)}
+                disabled={processing}
+                className="flex-1 btn btn-secondary"
+              >
+                Back
+              </button>
+            )}
+            {step < PAY_STEP ? (
+              <button
+                type="submit"
+                disabled={STEPS[step].key === 'review' && !addressConfirmed}
+                className="flex-1 btn btn-primary"
+              >
+                {STEPS[step].key === 'review' ? 'Continue to payment' : 'Next'}
+              </button>
+            ) : (
+              <button
+                type="submit"
+                disabled={processing || !quote || quoteLoading || !amountInRange}
+                className="flex-1 btn btn-primary text-lg py-3"
+              >
+                {processing ? (
+                  <span className="flex items-center justify-center">
+                    <svg className="animate-spin -ml-1 mr-3 h-5 w-5 text-white" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
+                      <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
+                      <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
+                    </svg>
+                    Processing...
+                  </span>
+                ) : retryOrder ? (
+                  `Retry payment of ${formatCurrency(fiatAmount, fiatCurrency)}`
+                ) : (
+                  `Buy ${quote ? formatCrypto(quote.cryptoAmount, cryptoCurrency) : '...'} for ${formatCurrency(fiatAmount, fiatCurrency)}`
+                )}
+              </button>
+            )}
+          </div>
+
+          <div className="text-center space-y-2">
+            <p className="text-xs text-gray-500">{provider.footnote}</p>
+            {provider.testMode && (
+              <p className="text-xs text-gray-400">⚠️ TEST MODE - No real money will be charged</p>
+            )}
+          </div>
+        </form>
+
+        {/* Additional Info */}
+        {provider.notes.length > 0 && (
+          <div className="mt-8 pt-6 border-t border-gray-200">
+            <h3 className="font-semibold text-gray-900 mb-3">Important Information</h3>
+            <div className="space-y-2 text-sm text-gray-600">
+              {provider.notes.map((note) => (
+                <div key={note} className="flex items-start space-x-2">
+                  <span className="text-green-600">✓</span>
+                  <span>{note}</span>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default PurchaseForm;
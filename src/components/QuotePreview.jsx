@@ -0,0 +1,130 @@
+import React, { useState, useEffect } from 'react';
+import { formatCurrency, formatCrypto } from '../utils/formatters';
+import { formatPromoEffect } from '../utils/promoCodes';
+
+// Live quote card for the purchase form: You Pay → You Receive plus fee breakdown.
+// Optional quote fields (networkFee, feePercentage, tierName, guaranteed,
+// expiresAt, quoteId) are only shown when the provider supplies them. A quote
+// with a quoteId is locked: that exact amount is charged until it expires.
+// `promo` is the applied promo code (see usePromoCode); the quote already
+// prices it in, the row just shows what it saved.
+const QuotePreview = ({ quote, loading, error, refreshed, onRefresh, promo }) => {
+  const [now, setNow] = useState(Date.now());
+
+  // Tick once a second for the expiry countdown
+  useEffect(() => {
+    if (!quote?.expiresAt) return;
+
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, [quote]);
+
+  if (error) {
+    return (
+      <div className="bg-red-50 border border-red-200 rounded-lg p-4 flex items-center justify-between">
+        <span className="text-sm text-red-800">Couldn't get a price quote: {error}</span>
+        <button type="button" onClick={onRefresh} className="text-sm font-medium text-red-700 hover:text-red-800">
+          Retry
+        </button>
+      </div>
+    );
+  }
+
+  if (!quote) {
+    return loading ? (
+      <div className="bg-gray-50 rounded-lg p-6 border-2 border-gray-200 text-center text-sm text-gray-500 animate-pulse">
+        Fetching live price...
+      </div>
+    ) : null;
+  }
+
+  const secondsLeft = quote.expiresAt
+    ? Math.max(Math.ceil((new Date(quote.expiresAt).getTime() - now) / 1000), 0)
+    : null;
+  const locked = !!quote.quoteId;
+
+  return (
+    <div className={`bg-gradient-to-r from-blue-50 to-indigo-50 rounded-lg p-6 border-2 border-blue-200 transition-opacity ${
+      loading ? 'opacity-60' : ''
+    }`}>
+      <div className="flex items-center justify-between">
+        <div>
+          <div className="text-sm text-gray-600">You Pay</div>
+          <div className="text-3xl font-bold text-gray-900">
+            {formatCurrency(quote.fiatAmount, quote.fiatCurrency)}
+          </div>
+        </div>
+        <div className="text-4xl text-blue-600">→</div>
+        <div>
+          <div className="text-sm text-gray-600">You Receive</div>
+          <div className="text-3xl font-bold text-blue-600">
+            {formatCrypto(quote.cryptoAmount, quote.cryptoCurrency)}
+          </div>
+        </div>
+      </div>
+
+      <div className="mt-4 pt-4 border-t border-blue-200 space-y-2 text-sm">
+        <div className="flex justify-between">
+          <span className="text-gray-600">Rate:</span>
+          <span className="font-medium">1 {quote.fiatCurrency} = {quote.conversionPrice} {quote.cryptoCurrency}</span>
+        </div>
+        <div className="flex justify-between">
+          <span className="text-gray-600">
+            {quote.feePercentage != null ? `Service Fee (${quote.feePercentage}%):` : 'Processing Fee:'}
+          </span>
+          <span className="font-medium">{formatCurrency(quote.processingFee, quote.fiatCurrency)}</span>
+        </div>
+        {quote.networkFee != null && (
+          <div className="flex justify-between">
+            <span className="text-gray-600">Network Fee:</span>
+            <span className="font-medium">{formatCurrency(quote.networkFee, quote.fiatCurrency)}</span>
+          </div>
+        )}
+        <div className="flex justify-between font-semibold">
+          <span className="text-gray-700">Total Fees:</span>
+          <span>{formatCurrency(quote.totalFee ?? quote.processingFee + (quote.networkFee || 0), quote.fiatCurrency)}</span>
+        </div>
+        {promo && (
+          <div className="flex justify-between text-green-700">
+            <span>Promo ({promo.code}):</span>
+            <span className="font-medium">{formatPromoEffect(promo, quote.fiatCurrency, quote.cryptoCurrency)}</span>
+          </div>
+        )}
+        {quote.tierName && (
+          <div className="flex justify-between">
+            <span className="text-gray-600">Tier:</span>
+            <span className="font-medium text-primary-600">{quote.tierName}</span>
+          </div>
+        )}
+      </div>
+
+      {quote.guaranteed && (
+        <div className="mt-4 flex items-center space-x-2 text-green-700 bg-green-50 rounded px-3 py-2">
+          <svg className="w-5 h-5" fill="currentColor" viewBox="0 0 20 20">
+            <path fillRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zm3.707-9.293a1 1 0 00-1.414-1.414L9 10.586 7.707 9.293a1 1 0 00-1.414 1.414l2 2a1 1 0 001.414 0l4-4z" clipRule="evenodd" />
+          </svg>
+          <span className="text-sm font-medium">
+            {locked ? `Rate locked - you receive exactly ${formatCrypto(quote.cryptoAmount, quote.cryptoCurrency)}` : 'Guaranteed Minimum Amount'}
+          </span>
+        </div>
+      )}
+
+      <div className="mt-4 flex items-center justify-between text-xs text-gray-500">
+        <span>
+          {loading
+            ? 'Updating quote...'
+            : locked
+              ? `🔒 Locked for ${secondsLeft}s, then re-quoted`
+              : quote.expiresAt ? `Quote refreshes in ${secondsLeft}s` : ''}
+        </span>
+        {refreshed && (
+          <span className="px-2 py-1 bg-green-100 text-green-800 rounded-full font-medium">
+            ✓ Quote refreshed
+          </span>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default QuotePreview;
@@ -0,0 +1,106 @@
+import React, { useState, useEffect } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import { transactionAPI } from '../services/api';
+import { formatDate } from '../utils/formatters';
+import { getReceipt, canIssueReceipt, RECEIPT_ISSUER } from '../utils/receipts';
+import useReceiptDownload from '../hooks/useReceiptDownload';
+import { toast } from 'react-toastify';
+
+// Print-optimised receipt (/transaction/:id/receipt). Rendered without the
+// app layout so printing gives just the receipt.
+const Receipt = () => {
+  const { id } = useParams();
+  const [transaction, setTransaction] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const { download, downloading } = useReceiptDownload();
+
+  useEffect(() => {
+    fetchTransaction();
+  }, [id]);
+
+  const fetchTransaction = async () => {
+    try {
+      const response = await transactionAPI.getTransaction(id);
+      setTransaction(response.data.transaction);
+    } catch (error) {
+      toast.error('Failed to load transaction');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center min-h-screen">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
+      </div>
+    );
+  }
+
+  if (!canIssueReceipt(transaction)) {
+    return (
+      <div className="text-center py-12">
+        <p className="text-gray-600 mb-4">A receipt is available once the transaction has completed</p>
+        <Link to={`/transaction/${id}`} className="btn btn-secondary">
+          Back to Transaction
+        </Link>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50 print:bg-white py-8 print:py-0">
+      <div className="max-w-2xl mx-auto px-4 print:px-0">
+        <div className="flex items-center justify-between mb-6 print:hidden">
+          <Link to={`/transaction/${id}`} className="text-primary-600 hover:text-primary-700 text-sm font-medium">
+            ← Back to Transaction
+          </Link>
+          <div className="flex space-x-3">
+            <button
+              onClick={() => download(transaction)}
+              disabled={downloading}
+              className="btn btn-secondary"
+            >
+              {downloading ? 'Preparing...' : 'Download PDF'}
+            </button>
+            <button onClick={() => window.print()} className="btn btn-primary">
+              Print
+            </button>
+          </div>
+        </div>
+
+        <div className="bg-white rounded-lg shadow-md print:shadow-none p-8 print:p-0">
+          <div className="flex items-start justify-between mb-8">
+            <div>
+              <div className="text-2xl font-bold text-primary-600">
+                USDT<span className="text-gray-900">Pay</span>
+              </div>
+              <h1 className="text-lg font-semibold text-gray-900 mt-1">{RECEIPT_ISSUER} Receipt</h1>
+            </div>
+            <div className="text-right text-xs text-gray-500">
+              Generated {formatDate(new Date())}
+            </div>
+          </div>
+
+          {getReceipt(transaction).map((section) => (
+            <div key={section.title} className="mb-6 last:mb-0 break-inside-avoid">
+              <h2 className="text-sm font-semibold text-gray-900 uppercase border-b pb-2 mb-2">{section.title}</h2>
+              <dl>
+                {section.rows.map((row) => (
+                  <div key={row.label} className="flex py-1 text-sm">
+                    <dt className="w-44 flex-shrink-0 text-gray-600">{row.label}</dt>
+                    <dd className={`text-gray-900 break-all ${row.mono ? 'font-mono text-xs leading-5' : 'font-medium'}`}>
+                      {row.value}
+                    </dd>
+                  </div>
+                ))}
+              </dl>
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Receipt;
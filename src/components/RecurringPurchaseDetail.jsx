@@ -0,0 +1,160 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { paymentAPI } from '../services/api';
+import { formatCurrency, formatCrypto, formatDate, formatShortDate, truncateAddress } from '../utils/formatters';
+import { getNetworkLabel } from '../utils/networks';
+import { getFrequencyText, getScheduleStatusColor, getRunStatusColor } from '../utils/schedules';
+import { toast } from 'react-toastify';
+
+// A recurring purchase plan with its next run and past runs (/recurring/:id)
+const RecurringPurchaseDetail = () => {
+  const { id } = useParams();
+  const [schedule, setSchedule] = useState(null);
+  const [runs, setRuns] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    fetchSchedule();
+  }, [id]);
+
+  const fetchSchedule = async () => {
+    try {
+      const response = await paymentAPI.getSchedule(id);
+      setSchedule(response.data.schedule);
+      setRuns(response.data.runs || []);
+    } catch (error) {
+      toast.error('Failed to load recurring purchase');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center min-h-screen">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
+      </div>
+    );
+  }
+
+  if (!schedule) {
+    return (
+      <div className="text-center py-12">
+        <p className="text-gray-600">Recurring purchase not found</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-4xl mx-auto space-y-6">
+      <div className="card">
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-2xl font-bold">
+            {formatCurrency(schedule.fiatAmount, schedule.fiatCurrency)} of {schedule.cryptoCurrency}
+          </h2>
+          <span className={`px-4 py-2 rounded-full text-sm font-medium ${getScheduleStatusColor(schedule.status)}`}>
+            {schedule.status}
+          </span>
+        </div>
+
+        <div className="grid grid-cols-2 gap-4 text-sm">
+          <div>
+            <span className="text-gray-600">Frequency:</span>
+            <p className="font-medium mt-1">{getFrequencyText(schedule.frequency)}</p>
+          </div>
+          <div>
+            <span className="text-gray-600">Next Run:</span>
+            <p className="font-medium mt-1">
+              {schedule.status === 'active' ? formatDate(schedule.nextRunAt) : '-'}
+            </p>
+          </div>
+          <div>
+            <span className="text-gray-600">Network:</span>
+            <p className="font-medium mt-1">{getNetworkLabel(schedule.network)}</p>
+          </div>
+          <div>
+            <span className="text-gray-600">Destination:</span>
+            <p className="font-mono text-xs mt-1" title={schedule.walletAddress}>
+              {truncateAddress(schedule.walletAddress, 10, 8)}
+            </p>
+          </div>
+          <div>
+            <span className="text-gray-600">Starts:</span>
+            <p className="font-medium mt-1">{formatShortDate(schedule.startDate)}</p>
+          </div>
+          <div>
+            <span className="text-gray-600">Ends:</span>
+            <p className="font-medium mt-1">{schedule.endDate ? formatShortDate(schedule.endDate) : 'No end date'}</p>
+          </div>
+        </div>
+
+        {['active', 'paused'].includes(schedule.status) && (
+          <div className="mt-6 pt-4 border-t flex justify-end">
+            <Link to={`/recurring/${schedule._id}/edit`} className="btn btn-secondary text-sm">
+              Edit Plan
+            </Link>
+          </div>
+        )}
+      </div>
+
+      <div className="card">
+        <h3 className="text-lg font-semibold mb-4">Run History</h3>
+
+        {runs.length === 0 ? (
+          <p className="text-gray-600 text-sm">No runs yet. The first purchase happens on {formatShortDate(schedule.nextRunAt || schedule.startDate)}.</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Scheduled</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Amount</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Received</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Transaction</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {runs.map((run) => (
+                  <tr key={run._id} className="hover:bg-gray-50">
+                    <td className="px-4 py-4 text-sm text-gray-900">
+                      {formatDate(run.scheduledFor)}
+                    </td>
+                    <td className="px-4 py-4 text-sm font-medium text-gray-900">
+                      {formatCurrency(run.fiatAmount ?? schedule.fiatAmount, run.fiatCurrency || schedule.fiatCurrency)}
+                    </td>
+                    <td className="px-4 py-4 text-sm font-medium text-primary-600">
+                      {run.cryptoAmount != null ? formatCrypto(run.cryptoAmount, schedule.cryptoCurrency) : '-'}
+                    </td>
+                    <td className="px-4 py-4">
+                      <span className={`px-2 py-1 text-xs font-medium rounded-full ${getRunStatusColor(run.status)}`}>
+                        {run.status}
+                      </span>
+                      {run.errorMessage && (
+                        <p className="text-xs text-red-600 mt-1">{run.errorMessage}</p>
+                      )}
+                    </td>
+                    <td className="px-4 py-4">
+                      {run.transactionId ? (
+                        <Link
+                          to={`/transaction/${run.transactionId}`}
+                          className="text-primary-600 hover:text-primary-700 text-sm font-medium"
+                        >
+                          View →
+                        </Link>
+                      ) : (
+                        <span className="text-sm text-gray-400">-</span>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default RecurringPurchaseDetail;
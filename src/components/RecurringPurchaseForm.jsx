@@ -0,0 +1,296 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import { paymentAPI } from '../services/api';
+import { formatCurrency } from '../utils/formatters';
+import { validateAddress } from '../utils/addressValidation';
+import { getNetwork, getNetworkLabel } from '../utils/networks';
+import { DEFAULT_FIAT_CURRENCY, getFiatLimits } from '../utils/currencies';
+import { CRYPTO_ASSETS, DEFAULT_CRYPTO_ASSET, getAssetNetworks } from '../utils/assets';
+import { FREQUENCIES, toDateInputValue } from '../utils/schedules';
+import { getIdempotencyKey, clearIdempotencyKey } from '../utils/idempotency';
+import WalletAddressInput from './WalletAddressInput';
+import AddressPicker from './AddressPicker';
+import FiatCurrencySelect from './FiatCurrencySelect';
+import { toast } from 'react-toastify';
+
+// Create / edit a recurring purchase plan (/recurring/new, /recurring/:id/edit)
+const RecurringPurchaseForm = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const isEdit = !!id;
+
+  const [formData, setFormData] = useState({
+    fiatAmount: 100,
+    fiatCurrency: DEFAULT_FIAT_CURRENCY,
+    cryptoCurrency: DEFAULT_CRYPTO_ASSET,
+    network: 'tron',
+    walletAddress: '',
+    frequency: 'weekly',
+    startDate: toDateInputValue(new Date()),
+    endDate: '',
+  });
+  const [loading, setLoading] = useState(isEdit);
+  const [saving, setSaving] = useState(false);
+
+  const limits = getFiatLimits(formData.fiatCurrency, 'transak');
+  const networks = getAssetNetworks(formData.cryptoCurrency);
+
+  useEffect(() => {
+    if (isEdit) {
+      fetchSchedule();
+    }
+  }, [id]);
+
+  const fetchSchedule = async () => {
+    try {
+      const response = await paymentAPI.getSchedule(id);
+      const { schedule } = response.data;
+
+      setFormData({
+        fiatAmount: schedule.fiatAmount,
+        fiatCurrency: schedule.fiatCurrency,
+        cryptoCurrency: schedule.cryptoCurrency,
+        network: schedule.network,
+        walletAddress: schedule.walletAddress,
+        frequency: schedule.frequency,
+        startDate: toDateInputValue(schedule.startDate),
+        endDate: toDateInputValue(schedule.endDate),
+      });
+    } catch (error) {
+      toast.error('Failed to load recurring purchase');
+      navigate('/recurring');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const updateField = (name, value) => {
+    setFormData((current) => ({ ...current, [name]: value }));
+  };
+
+  const handleChange = (e) => {
+    updateField(e.target.name, e.target.value);
+  };
+
+  // Switching asset may rule out the current network (e.g. USDC on Tron)
+  const handleAssetChange = (e) => {
+    const cryptoCurrency = e.target.value;
+    const assetNetworks = getAssetNetworks(cryptoCurrency);
+    setFormData({
+      ...formData,
+      cryptoCurrency,
+      network: assetNetworks.includes(formData.network) ? formData.network : assetNetworks[0],
+    });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const fiatAmount = parseFloat(formData.fiatAmount) || 0;
+    if (fiatAmount < limits.min || fiatAmount > limits.max) {
+      toast.error(`Amount must be between ${formatCurrency(limits.min, formData.fiatCurrency)} and ${formatCurrency(limits.max, formData.fiatCurrency)}`);
+      return;
+    }
+
+    const addressCheck = validateAddress(formData.walletAddress, formData.network);
+    if (!addressCheck.valid) {
+      toast.error(addressCheck.error);
+      return;
+    }
+
+    if (!isEdit && formData.startDate < toDateInputValue(new Date())) {
+      toast.error('Start date cannot be in the past');
+      return;
+    }
+
+    if (formData.endDate && formData.endDate <= formData.startDate) {
+      toast.error('End date must be after the start date');
+      return;
+    }
+
+    setSaving(true);
+
+    try {
+      const data = {
+        ...formData,
+        fiatAmount,
+        endDate: formData.endDate || null,
+      };
+
+      if (isEdit) {
+        await paymentAPI.updateSchedule(id, data);
+        toast.success('Recurring purchase updated');
+        navigate(`/recurring/${id}`);
+      } else {
+        const response = await paymentAPI.createSchedule(data, getIdempotencyKey('schedule', data));
+        clearIdempotencyKey('schedule');
+        toast.success(response.data.duplicate ? 'Recurring purchase already created' : 'Recurring purchase created');
+        navigate(`/recurring/${response.data.schedule._id}`);
+      }
+    } catch (error) {
+      toast.error(error.message || 'Failed to save recurring purchase');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center min-h-screen">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-2xl mx-auto">
+      <div className="card">
+        <h2 className="text-2xl font-bold mb-2">{isEdit ? 'Edit Recurring Purchase' : 'New Recurring Purchase'}</h2>
+        <p className="text-gray-600 mb-6">
+          Buy the same amount automatically on a schedule. You can pause or cancel at any time.
+        </p>
+
+        <form onSubmit={handleSubmit} className="space-y-6">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Amount per purchase ({formData.fiatCurrency})
+            </label>
+            <div className="flex space-x-2">
+              <input
+                type="number"
+                name="fiatAmount"
+                min={limits.min}
+                max={limits.max}
+                step="0.01"
+                value={formData.fiatAmount}
+                onChange={handleChange}
+                className="input"
+                required
+              />
+              <FiatCurrencySelect
+                value={formData.fiatCurrency}
+                onChange={(fiatCurrency) => updateField('fiatCurrency', fiatCurrency)}
+              />
+            </div>
+            <p className="text-sm text-gray-500 mt-1">
+              Min: {formatCurrency(limits.min, formData.fiatCurrency)} | Max: {formatCurrency(limits.max, formData.fiatCurrency)}
+            </p>
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Stablecoin
+              </label>
+              <select
+                name="cryptoCurrency"
+                value={formData.cryptoCurrency}
+                onChange={handleAssetChange}
+                className="input"
+              >
+                {Object.values(CRYPTO_ASSETS).map((asset) => (
+                  <option key={asset.symbol} value={asset.symbol}>
+                    {asset.symbol} ({asset.name})
+                  </option>
+                ))}
+              </select>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Network
+              </label>
+              <select
+                name="network"
+                value={formData.network}
+                onChange={handleChange}
+                className="input"
+              >
+                {networks.map((key) => (
+                  <option key={key} value={key}>
+                    {getNetworkLabel(key)} ({getNetwork(key).name})
+                  </option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          <AddressPicker
+            network={formData.network}
+            value={formData.walletAddress}
+            onSelect={(walletAddress) => updateField('walletAddress', walletAddress)}
+          />
+
+          <WalletAddressInput
+            label={`${formData.cryptoCurrency} Wallet Address (${getNetworkLabel(formData.network)})`}
+            value={formData.walletAddress}
+            onChange={(walletAddress) => updateField('walletAddress', walletAddress)}
+            network={formData.network}
+            required
+          />
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Frequency
+            </label>
+            <select
+              name="frequency"
+              value={formData.frequency}
+              onChange={handleChange}
+              className="input"
+            >
+              {Object.entries(FREQUENCIES).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Start Date
+              </label>
+              <input
+                type="date"
+                name="startDate"
+                value={formData.startDate}
+                onChange={handleChange}
+                className="input"
+                disabled={isEdit}
+                required
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                End Date (Optional)
+              </label>
+              <input
+                type="date"
+                name="endDate"
+                value={formData.endDate}
+                onChange={handleChange}
+                min={formData.startDate}
+                className="input"
+              />
+            </div>
+          </div>
+
+          <div className="flex space-x-3">
+            <Link to={isEdit ? `/recurring/${id}` : '/recurring'} className="flex-1 btn btn-secondary text-center">
+              Cancel
+            </Link>
+            <button
+              type="submit"
+              disabled={saving}
+              className="flex-1 btn btn-primary"
+            >
+              {saving ? 'Saving...' : isEdit ? 'Save Changes' : 'Create Plan'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default RecurringPurchaseForm;
@@ -0,0 +1,156 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { paymentAPI } from '../services/api';
+import { formatCurrency, formatShortDate, truncateAddress } from '../utils/formatters';
+import { getNetworkLabel } from '../utils/networks';
+import { getFrequencyText, getScheduleStatusColor } from '../utils/schedules';
+import { toast } from 'react-toastify';
+
+const RecurringPurchases = () => {
+  const [schedules, setSchedules] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [busyId, setBusyId] = useState(null);
+
+  useEffect(() => {
+    fetchSchedules();
+  }, []);
+
+  const fetchSchedules = async () => {
+    try {
+      const response = await paymentAPI.getSchedules();
+      setSchedules(response.data.schedules);
+    } catch (error) {
+      toast.error('Failed to load recurring purchases');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // pause / resume / cancel all return the updated schedule
+  const runAction = async (schedule, action, successMessage) => {
+    setBusyId(schedule._id);
+    try {
+      const response = await action(schedule._id);
+      setSchedules(schedules.map((s) => (s._id === schedule._id ? response.data.schedule : s)));
+      toast.success(successMessage);
+    } catch (error) {
+      toast.error(error.message || 'Failed to update recurring purchase');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleCancel = (schedule) => {
+    if (!window.confirm('Cancel this recurring purchase? Future runs will not happen.')) {
+      return;
+    }
+    runAction(schedule, paymentAPI.cancelSchedule, 'Recurring purchase cancelled');
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center min-h-screen">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-4xl mx-auto space-y-6">
+      <div className="flex items-center justify-between">
+        <h1 className="text-3xl font-bold">Recurring Purchases</h1>
+        <Link to="/recurring/new" className="btn btn-primary">
+          New Plan
+        </Link>
+      </div>
+
+      {schedules.length === 0 ? (
+        <div className="card text-center py-12">
+          <div className="text-6xl mb-4">🔁</div>
+          <p className="text-gray-600 mb-2">No recurring purchases yet</p>
+          <p className="text-sm text-gray-500 mb-4">
+            Buy a fixed amount automatically every week or month (dollar-cost averaging).
+          </p>
+          <Link to="/recurring/new" className="btn btn-primary">
+            Create Your First Plan
+          </Link>
+        </div>
+      ) : (
+        schedules.map((schedule) => (
+          <div key={schedule._id} className="card">
+            <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4">
+              <div>
+                <div className="flex items-center space-x-2">
+                  <Link
+                    to={`/recurring/${schedule._id}`}
+                    className="text-lg font-semibold text-gray-900 hover:text-primary-600"
+                  >
+                    {formatCurrency(schedule.fiatAmount, schedule.fiatCurrency)} of {schedule.cryptoCurrency}
+                  </Link>
+                  <span className={`px-2 py-1 text-xs font-medium rounded-full ${getScheduleStatusColor(schedule.status)}`}>
+                    {schedule.status}
+                  </span>
+                </div>
+                <div className="text-sm text-gray-600 mt-1">
+                  {getFrequencyText(schedule.frequency)} · {getNetworkLabel(schedule.network)} ·{' '}
+                  <span className="font-mono">{truncateAddress(schedule.walletAddress)}</span>
+                </div>
+                <div className="text-sm text-gray-500 mt-1">
+                  {schedule.status === 'active'
+                    ? `Next run: ${formatShortDate(schedule.nextRunAt)}`
+                    : `Ends: ${schedule.endDate ? formatShortDate(schedule.endDate) : 'No end date'}`}
+                </div>
+              </div>
+
+              <div className="flex items-center space-x-3 text-sm">
+                {schedule.status === 'active' && (
+                  <button
+                    onClick={() => runAction(schedule, paymentAPI.pauseSchedule, 'Recurring purchase paused')}
+                    disabled={busyId === schedule._id}
+                    className="text-gray-600 hover:text-primary-600 disabled:opacity-50"
+                  >
+                    Pause
+                  </button>
+                )}
+                {schedule.status === 'paused' && (
+                  <button
+                    onClick={() => runAction(schedule, paymentAPI.resumeSchedule, 'Recurring purchase resumed')}
+                    disabled={busyId === schedule._id}
+                    className="text-gray-600 hover:text-primary-600 disabled:opacity-50"
+                  >
+                    Resume
+                  </button>
+                )}
+                {['active', 'paused'].includes(schedule.status) && (
+                  <>
+                    <Link
+                      to={`/recurring/${schedule._id}/edit`}
+                      className="text-primary-600 hover:text-primary-700 font-medium"
+                    >
+                      Edit
+                    </Link>
+                    <button
+                      onClick={() => handleCancel(schedule)}
+                      disabled={busyId === schedule._id}
+                      className="text-red-600 hover:text-red-700 disabled:opacity-50"
+                    >
+                      Cancel
+                    </button>
+                  </>
+                )}
+                <Link
+                  to={`/recurring/${schedule._id}`}
+                  className="text-primary-600 hover:text-primary-700 font-medium"
+                >
+                  History →
+                </Link>
+              </div>
+            </div>
+          </div>
+        ))
+      )}
+    </div>
+  );
+};
+
+export default RecurringPurchases;
@@ -0,0 +1,75 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { referralAPI } from '../services/api';
+import { formatCurrency, copyToClipboard } from '../utils/formatters';
+import { getReferralLink } from '../utils/referrals';
+import { toast } from 'react-toastify';
+
+// Dashboard card: referral totals and the invite link
+const ReferralSummary = () => {
+  const [data, setData] = useState(null);
+
+  useEffect(() => {
+    fetchSummary();
+  }, []);
+
+  const fetchSummary = async () => {
+    try {
+      const response = await referralAPI.getReferralSummary();
+      setData(response.data);
+    } catch (error) {
+      // Non-critical - the dashboard works without it
+      console.error('Failed to load referral summary:', error);
+    }
+  };
+
+  const handleCopyLink = async () => {
+    const success = await copyToClipboard(getReferralLink(data.code));
+    if (success) {
+      toast.success('Invite link copied to clipboard');
+    }
+  };
+
+  if (!data?.code) {
+    return null;
+  }
+
+  const { summary = {}, currency = 'USD' } = data;
+
+  return (
+    <div className="card">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-xl font-bold">Referrals</h2>
+        <Link to="/referrals" className="text-primary-600 hover:text-primary-700 text-sm font-medium">
+          Details →
+        </Link>
+      </div>
+
+      <div className="grid grid-cols-3 gap-4 mb-4">
+        <div>
+          <div className="text-sm text-gray-600">Invited</div>
+          <div className="text-2xl font-bold">{summary.invitedCount || 0}</div>
+        </div>
+        <div>
+          <div className="text-sm text-gray-600">Qualified</div>
+          <div className="text-2xl font-bold">{summary.qualifiedCount || 0}</div>
+        </div>
+        <div>
+          <div className="text-sm text-gray-600">Earned</div>
+          <div className="text-2xl font-bold text-primary-600">{formatCurrency(summary.totalEarned || 0, currency)}</div>
+        </div>
+      </div>
+
+      <div className="flex items-center justify-between p-3 bg-gray-50 rounded-lg">
+        <span className="text-sm text-gray-600">
+          Your code: <span className="font-mono font-semibold text-gray-900">{data.code}</span>
+        </span>
+        <button onClick={handleCopyLink} className="text-sm font-medium text-primary-600 hover:text-primary-700">
+          Copy invite link
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ReferralSummary;
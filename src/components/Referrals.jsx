@@ -0,0 +1,179 @@
+import React, { useState, useEffect } from 'react';
+import { referralAPI } from '../services/api';
+import { formatCurrency, formatDate, formatShortDate, copyToClipboard } from '../utils/formatters';
+import {
+  getReferralLink,
+  maskEmail,
+  getReferralStatusText,
+  getReferralStatusColor,
+  getRewardStatusText,
+  getRewardStatusColor,
+} from '../utils/referrals';
+import { toast } from 'react-toastify';
+
+/**
+ * Referral program (/referrals): the user's share link, totals and every
+ * invited user with their qualifying purchases and the reward they earned.
+ *
+ * The backend sends { code, currency, summary, referrals } where each referral
+ * is { _id, inviteeEmail (masked), joinedAt, status, qualifyingPurchases,
+ * qualifyingVolume, reward: { amount, status, paidAt } | null }.
+ */
+const Referrals = () => {
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    fetchReferrals();
+  }, []);
+
+  const fetchReferrals = async () => {
+    try {
+      const response = await referralAPI.getReferrals();
+      setData(response.data);
+    } catch (error) {
+      toast.error('Failed to load referrals');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleCopyLink = async () => {
+    const success = await copyToClipboard(getReferralLink(data.code));
+    if (success) {
+      toast.success('Invite link copied to clipboard');
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center min-h-screen">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
+      </div>
+    );
+  }
+
+  if (!data) {
+    return (
+      <div className="text-center py-12">
+        <p className="text-gray-600">Referrals are not available right now</p>
+      </div>
+    );
+  }
+
+  const { code, currency = 'USD', summary = {}, referrals = [] } = data;
+
+  return (
+    <div className="max-w-5xl mx-auto space-y-6">
+      <h1 className="text-3xl font-bold">Referrals</h1>
+
+      {/* Share */}
+      <div className="card bg-gradient-to-r from-primary-50 to-purple-50">
+        <h2 className="text-xl font-bold mb-2">Invite friends, earn rewards</h2>
+        <p className="text-gray-600 mb-4">
+          Share your link. When someone signs up with it and completes a qualifying purchase, you earn a reward.
+        </p>
+        <div className="flex flex-col md:flex-row md:items-center gap-3">
+          <div className="flex-1 font-mono text-sm bg-white border border-gray-200 rounded-lg px-4 py-3 break-all">
+            {getReferralLink(code)}
+          </div>
+          <button onClick={handleCopyLink} className="btn btn-primary">
+            Copy Link
+          </button>
+        </div>
+        <p className="text-sm text-gray-600 mt-3">
+          Your code: <span className="font-mono font-semibold">{code}</span>
+        </p>
+      </div>
+
+      {/* Totals */}
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+        <div className="card">
+          <div className="text-sm text-gray-600">Invited</div>
+          <div className="text-2xl font-bold mt-1">{summary.invitedCount || 0}</div>
+        </div>
+        <div className="card">
+          <div className="text-sm text-gray-600">Qualified</div>
+          <div className="text-2xl font-bold mt-1">{summary.qualifiedCount || 0}</div>
+        </div>
+        <div className="card">
+          <div className="text-sm text-gray-600">Earned</div>
+          <div className="text-2xl font-bold mt-1 text-primary-600">{formatCurrency(summary.totalEarned || 0, currency)}</div>
+        </div>
+        <div className="card">
+          <div className="text-sm text-gray-600">Paid Out</div>
+          <div className="text-2xl font-bold mt-1 text-green-600">{formatCurrency(summary.totalPaid || 0, currency)}</div>
+        </div>
+      </div>
+
+      {/* Invited users */}
+      <div className="card">
+        <h2 className="text-xl font-bold mb-6">Invited Users</h2>
+
+        {referrals.length === 0 ? (
+          <div className="text-center py-12">
+            <div className="text-6xl mb-4">🤝</div>
+            <p className="text-gray-600">Nobody has signed up with your link yet</p>
+          </div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">User</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Joined</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Qualifying Purchases</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Reward</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Payout</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {referrals.map((referral) => (
+                  <tr key={referral._id} className="hover:bg-gray-50">
+                    <td className="px-4 py-4 text-sm font-mono text-gray-900">
+                      {maskEmail(referral.inviteeEmail)}
+                    </td>
+                    <td className="px-4 py-4 text-sm text-gray-600">
+                      {formatShortDate(referral.joinedAt)}
+                    </td>
+                    <td className="px-4 py-4">
+                      <span className={`px-2 py-1 text-xs font-medium rounded-full ${getReferralStatusColor(referral.status)}`}>
+                        {getReferralStatusText(referral.status)}
+                      </span>
+                    </td>
+                    <td className="px-4 py-4 text-sm text-gray-900">
+                      {referral.qualifyingPurchases || 0}
+                      {referral.qualifyingVolume > 0 && (
+                        <span className="text-gray-500"> ({formatCurrency(referral.qualifyingVolume, currency)})</span>
+                      )}
+                    </td>
+                    <td className="px-4 py-4 text-sm font-medium text-primary-600">
+                      {referral.reward ? formatCurrency(referral.reward.amount, currency) : '-'}
+                    </td>
+                    <td className="px-4 py-4 text-sm">
+                      {referral.reward ? (
+                        <>
+                          <span className={`px-2 py-1 text-xs font-medium rounded-full ${getRewardStatusColor(referral.reward.status)}`}>
+                            {getRewardStatusText(referral.reward.status)}
+                          </span>
+                          {referral.reward.paidAt && (
+                            <div className="text-xs text-gray-500 mt-1">{formatDate(referral.reward.paidAt)}</div>
+                          )}
+                        </>
+                      ) : (
+                        <span className="text-gray-400">Awaiting purchase</span>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Referrals;
@@ -0,0 +1,65 @@
+import React, { useState } from 'react';
+import { MAX_SCREENSHOTS, SCREENSHOT_TYPES, validateScreenshots } from '../utils/supportTickets';
+
+// Optional screenshots for a support ticket or reply. Only valid selections
+// reach `onChange`; a rejected one leaves the current files in place.
+const ScreenshotPicker = ({ files, onChange, disabled }) => {
+  const [error, setError] = useState(null);
+
+  const handleSelect = (e) => {
+    const selected = [...files, ...Array.from(e.target.files)];
+    // Allow picking the same file again after removing it
+    e.target.value = '';
+
+    const validationError = validateScreenshots(selected);
+    setError(validationError);
+    if (!validationError) {
+      onChange(selected);
+    }
+  };
+
+  const handleRemove = (index) => {
+    setError(null);
+    onChange(files.filter((_, i) => i !== index));
+  };
+
+  return (
+    <div>
+      {files.length > 0 && (
+        <ul className="space-y-1 mb-2">
+          {files.map((file, index) => (
+            <li key={`${file.name}-${index}`} className="flex items-center justify-between text-sm bg-gray-50 rounded px-3 py-1">
+              <span className="truncate text-gray-700">📎 {file.name}</span>
+              <button
+                type="button"
+                onClick={() => handleRemove(index)}
+                disabled={disabled}
+                className="ml-2 text-gray-500 hover:text-red-600"
+              >
+                Remove
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {files.length < MAX_SCREENSHOTS && (
+        <label className="inline-block text-sm font-medium text-primary-600 hover:text-primary-700 cursor-pointer">
+          + Attach screenshots
+          <input
+            type="file"
+            accept={SCREENSHOT_TYPES.join(',')}
+            multiple
+            onChange={handleSelect}
+            disabled={disabled}
+            className="hidden"
+          />
+        </label>
+      )}
+
+      {error && <p className="text-sm text-red-600 mt-1">{error}</p>}
+    </div>
+  );
+};
+
+export default ScreenshotPicker;
@@ -0,0 +1,262 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import { formatCrypto } from '../utils/formatters';
+import { getNetwork, getNetworkLabel } from '../utils/networks';
+import { DEFAULT_FIAT_CURRENCY } from '../utils/currencies';
+import { getAssetNetworks } from '../utils/assets';
+import { SELL_ASSET, SELL_LIMITS, getPayoutMethods } from '../utils/payouts';
+import { getIdempotencyKey, clearIdempotencyKey } from '../utils/idempotency';
+import { getProvider, PROVIDER_EVENTS, FINAL_EVENTS } from '../providers';
+import FiatCurrencySelect from './FiatCurrencySelect';
+import { toast } from 'react-toastify';
+
+// Off-ramp goes through Transak's SELL widget
+const provider = getProvider('transak');
+
+const IDEMPOTENCY_SCOPE = 'sell';
+
+/**
+ * Sell USDT for fiat (/sell)
+ *
+ * The user picks how much to sell, the network they will send from and how
+ * they want to be paid. Transak shows the deposit address and exact payout
+ * in its widget; progress afterwards is tracked on the transaction page.
+ */
+const SellForm = () => {
+  const { user } = useAuth();
+  const navigate = useNavigate();
+
+  const networks = getAssetNetworks(SELL_ASSET);
+
+  const [cryptoAmount, setCryptoAmount] = useState(100);
+  const [network, setNetwork] = useState(networks[0]);
+  const [fiatCurrency, setFiatCurrency] = useState(DEFAULT_FIAT_CURRENCY);
+  const [payoutMethod, setPayoutMethod] = useState(getPayoutMethods(DEFAULT_FIAT_CURRENCY)[0].id);
+  const [processing, setProcessing] = useState(false);
+  const [checkoutHandle, setCheckoutHandle] = useState(null);
+
+  const payoutMethods = getPayoutMethods(fiatCurrency);
+  const amountInRange = cryptoAmount >= SELL_LIMITS.min && cryptoAmount <= SELL_LIMITS.max;
+
+  // Not every payout method is available in every currency
+  const handleCurrencyChange = (currency) => {
+    setFiatCurrency(currency);
+    if (!getPayoutMethods(currency).some((method) => method.id === payoutMethod)) {
+      setPayoutMethod(getPayoutMethods(currency)[0].id);
+    }
+  };
+
+  const handleCheckoutEvent = (event) => {
+    switch (event.type) {
+      case PROVIDER_EVENTS.OPENED:
+        if (event.message) toast.info(event.message);
+        break;
+      case PROVIDER_EVENTS.PROCESSING:
+      case PROVIDER_EVENTS.COMPLETED:
+        toast.success(event.message || 'Sale submitted!');
+        navigate(`/transaction/${event.orderId}`);
+        break;
+      case PROVIDER_EVENTS.FAILED:
+        toast.error(event.message || 'Sale failed');
+        break;
+      case PROVIDER_EVENTS.CANCELLED:
+        toast.warning(event.message || 'Sale cancelled');
+        break;
+      default:
+        break;
+    }
+
+    // Closing the widget keeps the order: re-submitting continues it
+    if (event.type !== PROVIDER_EVENTS.OPENED && event.type !== PROVIDER_EVENTS.CLOSED) {
+      clearIdempotencyKey(IDEMPOTENCY_SCOPE);
+    }
+
+    if (FINAL_EVENTS.includes(event.type) || event.type === PROVIDER_EVENTS.PROCESSING) {
+      setProcessing(false);
+      setCheckoutHandle(null);
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (processing) return;
+
+    if (!amountInRange) {
+      toast.error(`Amount must be between ${formatCrypto(SELL_LIMITS.min, SELL_ASSET)} and ${formatCrypto(SELL_LIMITS.max, SELL_ASSET)}`);
+      return;
+    }
+
+    setProcessing(true);
+
+    try {
+      const params = { cryptoAmount, cryptoCurrency: SELL_ASSET, network, fiatCurrency, payoutMethod };
+      const idempotencyKey = getIdempotencyKey(IDEMPOTENCY_SCOPE, { ...params, userId: user._id });
+      const created = await provider.createSellOrder({ ...params, user, idempotencyKey });
+
+      // Same submission as before (retry or double submit) - the widget
+      // reopens for the existing order
+      if (created.duplicate) {
+        toast.info('You already started this sale - continuing it');
+      }
+
+      const handle = await provider.launchSellCheckout({ ...created, ...params }, {
+        user,
+        onEvent: handleCheckoutEvent,
+      });
+      setCheckoutHandle(handle);
+    } catch (error) {
+      console.error('❌ Error starting sell checkout:', error);
+      toast.error(error.message || 'Failed to start sale. Please try again.');
+      setProcessing(false);
+    }
+  };
+
+  // Cleanup on unmount
+  useEffect(() => {
+    return () => {
+      if (checkoutHandle) {
+        checkoutHandle.close();
+      }
+    };
+  }, [checkoutHandle]);
+
+  if (!provider?.isConfigured()) {
+    return (
+      <div className="max-w-2xl mx-auto">
+        <div className="card bg-red-50 border-2 border-red-200">
+          <h2 className="text-2xl font-bold mb-4 text-red-800">Configuration Error</h2>
+          <p className="text-red-700">
+            Selling is not configured. Please contact the administrator.
+          </p>
+          <p className="text-sm text-red-600 mt-2">
+            Missing: {provider?.missingConfig} environment variable
+          </p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-2xl mx-auto">
+      <div className="card">
+        <div className="mb-6">
+          <h2 className="text-2xl font-bold mb-2">Sell {SELL_ASSET}</h2>
+          <p className="text-gray-600">Convert {SELL_ASSET} back to cash, paid to your card or bank account.</p>
+        </div>
+
+        <form onSubmit={handleSubmit} className="space-y-6">
+          {/* Amount Input */}
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Amount to sell ({SELL_ASSET})
+            </label>
+            <input
+              type="number"
+              min={SELL_LIMITS.min}
+              max={SELL_LIMITS.max}
+              step="0.01"
+              value={cryptoAmount}
+              onChange={(e) => setCryptoAmount(parseFloat(e.target.value) || 0)}
+              className="input text-lg"
+              required
+            />
+            <p className={`text-sm mt-1 ${cryptoAmount && !amountInRange ? 'text-red-600' : 'text-gray-500'}`}>
+              Min: {formatCrypto(SELL_LIMITS.min, SELL_ASSET)} | Max: {formatCrypto(SELL_LIMITS.max, SELL_ASSET)}
+            </p>
+          </div>
+
+          {/* Network Selection */}
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Send from network
+            </label>
+            <select
+              value={network}
+              onChange={(e) => setNetwork(e.target.value)}
+              disabled={processing}
+              className="input"
+            >
+              {networks.map((key) => (
+                <option key={key} value={key}>
+                  {getNetworkLabel(key)} ({getNetwork(key).name})
+                </option>
+              ))}
+            </select>
+            <p className="text-sm text-gray-500 mt-1">
+              Send {SELL_ASSET} on this network only - deposits on other networks may be lost
+            </p>
+          </div>
+
+          {/* Payout */}
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Payout currency
+            </label>
+            <FiatCurrencySelect value={fiatCurrency} onChange={handleCurrencyChange} disabled={processing} />
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Payout method
+            </label>
+            <div className="space-y-2">
+              {payoutMethods.map((method) => (
+                <button
+                  key={method.id}
+                  type="button"
+                  onClick={() => setPayoutMethod(method.id)}
+                  disabled={processing}
+                  className={`w-full flex items-center justify-between p-4 rounded-lg border-2 text-left transition ${
+                    payoutMethod === method.id
+                      ? 'border-primary-600 bg-primary-50'
+                      : 'border-gray-200 hover:border-gray-300'
+                  }`}
+                >
+                  <span>
+                    <span className="block font-semibold text-gray-900">{method.label}</span>
+                    <span className="block text-sm text-gray-600">{method.description}</span>
+                  </span>
+                  <span className="text-xs text-gray-500">{method.eta}</span>
+                </button>
+              ))}
+            </div>
+          </div>
+
+          <div className="p-4 bg-gray-50 rounded-lg text-sm text-gray-600">
+            Transak shows the exact payout and the address to send your {SELL_ASSET} to in the next step.
+          </div>
+
+          {/* Submit Button */}
+          <button
+            type="submit"
+            disabled={processing || !amountInRange}
+            className="w-full btn btn-primary text-lg py-3"
+          >
+            {processing ? (
+              <span className="flex items-center justify-center">
+                <svg className="animate-spin -ml-1 mr-3 h-5 w-5 text-white" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
+                  <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
+                  <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
+                </svg>
+                Processing...
+              </span>
+            ) : (
+              `Sell ${formatCrypto(cryptoAmount, SELL_ASSET)} for ${fiatCurrency}`
+            )}
+          </button>
+
+          <div className="text-center space-y-2">
+            <p className="text-xs text-gray-500">Secure payout powered by Transak. KYC verification required.</p>
+            {provider.testMode && (
+              <p className="text-xs text-gray-400">⚠️ TEST MODE - No real money will be paid out</p>
+            )}
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default SellForm;
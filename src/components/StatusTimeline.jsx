@@ -0,0 +1,49 @@
+import React from 'react';
+import { formatDate, formatDuration, getStatusColor, getStatusText } from '../utils/formatters';
+import { getActor } from '../utils/statusHistory';
+
+// Every status change of a transaction, newest first, with who made it and
+// how long it took since the previous one
+const StatusTimeline = ({ history }) => {
+  if (!history.length) {
+    return null;
+  }
+
+  const events = history.map((event, index) => ({
+    ...event,
+    elapsed: index > 0 ? new Date(event.timestamp) - new Date(history[index - 1].timestamp) : null,
+  })).reverse();
+
+  return (
+    <div className="card">
+      <h3 className="text-lg font-semibold mb-6">Timeline</h3>
+
+      <ol className="relative border-l-2 border-gray-200 ml-2 space-y-6">
+        {events.map((event, index) => {
+          const actor = getActor(event.actor);
+
+          return (
+            <li key={`${event.status}-${event.timestamp}-${index}`} className="ml-6">
+              <span className={`absolute -left-[7px] w-3 h-3 rounded-full ${index === 0 ? 'bg-primary-600' : 'bg-gray-300'}`}></span>
+              <div className="flex flex-wrap items-center gap-2">
+                <span className={`px-2 py-1 text-xs font-medium rounded-full ${getStatusColor(event.status)}`}>
+                  {getStatusText(event.status)}
+                </span>
+                <span className={`px-2 py-0.5 text-xs rounded ${actor.color}`}>{actor.label}</span>
+                <span className="text-sm text-gray-600">{formatDate(event.timestamp)}</span>
+                {event.elapsed != null && (
+                  <span className="text-xs text-gray-400">+{formatDuration(event.elapsed)}</span>
+                )}
+              </div>
+              {event.message && (
+                <p className="text-sm text-gray-700 mt-1">{event.message}</p>
+              )}
+            </li>
+          );
+        })}
+      </ol>
+    </div>
+  );
+};
+
+export default StatusTimeline;
@@ -0,0 +1,87 @@
+import React, { useState } from 'react';
+import { supportAPI } from '../services/api';
+import { getStatusText } from '../utils/formatters';
+import { getStatusHistory } from '../utils/statusHistory';
+import { buildTicketContext, buildTicketFormData } from '../utils/supportTickets';
+import ScreenshotPicker from './ScreenshotPicker';
+import { toast } from 'react-toastify';
+
+const MIN_DESCRIPTION_LENGTH = 10;
+
+// New support ticket for a transaction. The transaction's status history and
+// error are attached automatically; the user adds a description and
+// optionally screenshots.
+const SupportTicketForm = ({ transaction, onCreated, onCancel }) => {
+  const [description, setDescription] = useState('');
+  const [screenshots, setScreenshots] = useState([]);
+  const [submitting, setSubmitting] = useState(false);
+
+  const tooShort = description.trim().length < MIN_DESCRIPTION_LENGTH;
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (tooShort) return;
+
+    setSubmitting(true);
+    try {
+      const formData = buildTicketFormData({
+        transactionId: transaction._id,
+        subject: `Help with transaction ${transaction._id.slice(-8)}`,
+        description: description.trim(),
+        context: buildTicketContext(transaction),
+      }, screenshots);
+
+      const response = await supportAPI.createTicket(formData);
+      toast.success('Support ticket created. Replies will appear here.');
+      onCreated(response.data.ticket);
+    } catch (error) {
+      toast.error(error.message || 'Failed to create support ticket');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-2">
+          What went wrong?
+        </label>
+        <textarea
+          value={description}
+          onChange={(e) => setDescription(e.target.value)}
+          rows={4}
+          className="input"
+          placeholder="Describe what happened and what you expected"
+          disabled={submitting}
+        />
+        {description && tooShort && (
+          <p className="text-sm text-gray-500 mt-1">Please add a bit more detail</p>
+        )}
+      </div>
+
+      <ScreenshotPicker files={screenshots} onChange={setScreenshots} disabled={submitting} />
+
+      <div className="p-3 bg-gray-50 rounded-lg text-sm text-gray-600">
+        <p className="font-medium text-gray-700 mb-1">Attached automatically</p>
+        <ul className="list-disc list-inside space-y-0.5">
+          <li>Transaction ID <span className="font-mono text-xs">{transaction._id}</span></li>
+          <li>Current status: {getStatusText(transaction.status)}</li>
+          <li>Status history ({getStatusHistory(transaction).length} events)</li>
+          {transaction.errorMessage && <li>Error: {transaction.errorMessage}</li>}
+        </ul>
+      </div>
+
+      <div className="flex space-x-3">
+        <button type="submit" disabled={submitting || tooShort} className="btn btn-primary">
+          {submitting ? 'Sending...' : 'Create Ticket'}
+        </button>
+        <button type="button" onClick={onCancel} disabled={submitting} className="btn btn-secondary">
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default SupportTicketForm;
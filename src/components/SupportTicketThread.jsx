@@ -0,0 +1,104 @@
+import React, { useState } from 'react';
+import { supportAPI } from '../services/api';
+import { formatDate } from '../utils/formatters';
+import { getTicketStatus, isOpenTicket, buildTicketFormData } from '../utils/supportTickets';
+import ScreenshotPicker from './ScreenshotPicker';
+import { toast } from 'react-toastify';
+
+// Conversation on a support ticket, oldest message first, with a reply box
+// while the ticket is open. The parent keeps `ticket` current (including
+// replies pushed over the websocket) and receives updates via `onUpdate`.
+const SupportTicketThread = ({ ticket, onUpdate }) => {
+  const [reply, setReply] = useState('');
+  const [screenshots, setScreenshots] = useState([]);
+  const [sending, setSending] = useState(false);
+
+  const status = getTicketStatus(ticket.status);
+
+  const handleReply = async (e) => {
+    e.preventDefault();
+    if (!reply.trim()) return;
+
+    setSending(true);
+    try {
+      const response = await supportAPI.replyToTicket(ticket._id, buildTicketFormData({ body: reply.trim() }, screenshots));
+      onUpdate(response.data.ticket);
+      setReply('');
+      setScreenshots([]);
+    } catch (error) {
+      toast.error(error.message || 'Failed to send reply');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-4">
+        <div className="text-sm text-gray-600">
+          Ticket <span className="font-mono">#{ticket._id.slice(-8)}</span> · opened {formatDate(ticket.createdAt)}
+        </div>
+        <span className={`px-2 py-1 text-xs font-medium rounded-full ${status.color}`}>
+          {status.label}
+        </span>
+      </div>
+
+      <div className="space-y-3 mb-4">
+        {(ticket.messages || []).map((message) => {
+          const fromUser = message.author === 'user';
+
+          return (
+            <div key={message._id} className={`flex ${fromUser ? 'justify-end' : 'justify-start'}`}>
+              <div className={`max-w-[80%] rounded-lg px-4 py-3 ${fromUser ? 'bg-primary-50' : 'bg-gray-100'}`}>
+                <div className="text-xs text-gray-500 mb-1">
+                  {fromUser ? 'You' : message.authorName || 'Support'} · {formatDate(message.createdAt)}
+                </div>
+                <p className="text-sm text-gray-900 whitespace-pre-wrap">{message.body}</p>
+                {message.attachments?.length > 0 && (
+                  <div className="flex flex-wrap gap-2 mt-2">
+                    {message.attachments.map((attachment) => (
+                      <a
+                        key={attachment.url}
+                        href={attachment.url}
+                        target="_blank"
+                        rel="noopener noreferrer"
+                        className="text-xs text-primary-600 hover:underline"
+                      >
+                        📎 {attachment.name}
+                      </a>
+                    ))}
+                  </div>
+                )}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+
+      {isOpenTicket(ticket) ? (
+        <form onSubmit={handleReply} className="space-y-3 border-t pt-4">
+          <textarea
+            value={reply}
+            onChange={(e) => setReply(e.target.value)}
+            rows={3}
+            className="input"
+            placeholder="Write a reply..."
+            disabled={sending}
+          />
+          <div className="flex items-start justify-between">
+            <ScreenshotPicker files={screenshots} onChange={setScreenshots} disabled={sending} />
+            <button type="submit" disabled={sending || !reply.trim()} className="btn btn-primary">
+              {sending ? 'Sending...' : 'Send Reply'}
+            </button>
+          </div>
+        </form>
+      ) : (
+        <p className="text-sm text-gray-500 border-t pt-4">
+          This ticket is {status.label.toLowerCase()}. Need more help? Open a new ticket.
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default SupportTicketThread;
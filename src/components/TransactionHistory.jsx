@@ -1,7 +1,11 @@
 import React, { useState, useEffect } from 'react';
 import { Link } from 'react-router-dom';
-import { transactionAPI } from '../services/api';
-import { formatCurrency, formatCrypto, formatDate, getStatusColor, getStatusText } from '../utils/formatters';
+import { transactionAPI, supportAPI } from '../services/api';
+import { formatDate, getStatusColor, getStatusText, isSellTransaction, formatAmountPaid, formatAmountReceived } from '../utils/formatters';
+import { STATUS_GROUPS } from '../utils/transactionStatuses';
+import { canIssueReceipt } from '../utils/receipts';
+import { OPEN_TICKET_STATUSES } from '../utils/supportTickets';
+import useReceiptDownload from '../hooks/useReceiptDownload';
 import { toast } from 'react-toastify';
 
 const TransactionHistory = () => {
@@ -13,11 +17,28 @@ const TransactionHistory = () => {
     page: 1,
     limit: 10,
   });
+  const { download, downloadingId } = useReceiptDownload();
+  // Transaction IDs with an open support ticket
+  const [openTicketIds, setOpenTicketIds] = useState(new Set());
 
   useEffect(() => {
     fetchTransactions();
   }, [filters]);
 
+  useEffect(() => {
+    fetchOpenTickets();
+  }, []);
+
+  const fetchOpenTickets = async () => {
+    try {
+      const response = await supportAPI.getTickets({ status: OPEN_TICKET_STATUSES.join(',') });
+      setOpenTicketIds(new Set((response.data.tickets || []).map((ticket) => ticket.transactionId)));
+    } catch (error) {
+      // Only the badges depend on it
+      console.error('Failed to load support tickets:', error);
+    }
+  };
+
   const fetchTransactions = async () => {
     try {
       setLoading(true);
@@ -41,18 +62,21 @@ const TransactionHistory = () => {
 
   const statusFilters = [
     { label: 'All', value: '' },
-    { label: 'Completed', value: 'completed' },
-    { label: 'Processing', value: 'payment_confirmed' },
-    { label: 'Failed', value: 'failed' },
+    ...STATUS_GROUPS.map((group) => ({ label: group.label, value: group.statuses.join(',') })),
   ];
 
   return (
     <div className="space-y-6">
       <div className="flex items-center justify-between">
         <h1 className="text-3xl font-bold">Transaction History</h1>
-        <Link to="/payment" className="btn btn-primary">
-          New Payment
-        </Link>
+        <div className="flex space-x-3">
+          <Link to="/sell" className="btn btn-secondary">
+            Sell
+          </Link>
+          <Link to="/payment" className="btn btn-primary">
+            New Payment
+          </Link>
+        </div>
       </div>
 
       {/* Filters */}
@@ -96,9 +120,10 @@ const TransactionHistory = () => {
                 <thead className="bg-gray-50">
                   <tr>
                     <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">ID</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Type</th>
                     <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Date</th>
-                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Amount USD</th>
-                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">USDT</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Amount</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Received</th>
                     <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Rate</th>
                     <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Network</th>
                     <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
@@ -111,14 +136,21 @@ const TransactionHistory = () => {
                       <td className="px-4 py-4 text-xs font-mono text-gray-600">
                         {transaction._id.slice(-8)}
                       </td>
+                      <td className="px-4 py-4">
+                        <span className={`px-2 py-1 text-xs font-medium rounded ${
+                          isSellTransaction(transaction) ? 'bg-orange-100 text-orange-800' : 'bg-blue-100 text-blue-800'
+                        }`}>
+                          {isSellTransaction(transaction) ? 'Sell' : 'Buy'}
+                        </span>
+                      </td>
                       <td className="px-4 py-4 text-sm text-gray-900">
                         {formatDate(transaction.initiatedAt)}
                       </td>
                       <td className="px-4 py-4 text-sm font-medium text-gray-900">
-                        {formatCurrency(transaction.amountUSD)}
+                        {formatAmountPaid(transaction)}
                       </td>
                       <td className="px-4 py-4 text-sm font-medium text-primary-600">
-                        {formatCrypto(transaction.usdtAmount)}
+                        {formatAmountReceived(transaction)}
                       </td>
                       <td className="px-4 py-4 text-sm text-gray-600">
                         {transaction.exchangeRate}
@@ -132,14 +164,28 @@ const TransactionHistory = () => {
                         <span className={`px-2 py-1 text-xs font-medium rounded-full ${getStatusColor(transaction.status)}`}>
                           {getStatusText(transaction.status)}
                         </span>
+                        {openTicketIds.has(transaction._id) && (
+                          <span className="block w-max mt-1 px-2 py-0.5 text-xs font-medium rounded-full bg-orange-100 text-orange-800">
+                            Support ticket open
+                          </span>
+                        )}
                       </td>
-                      <td className="px-4 py-4">
+                      <td className="px-4 py-4 whitespace-nowrap">
                         <Link
                           to={`/transaction/${transaction._id}`}
                           className="text-primary-600 hover:text-primary-700 text-sm font-medium"
                         >
                           Details →
                         </Link>
+                        {canIssueReceipt(transaction) && (
+                          <button
+                            onClick={() => download(transaction)}
+                            disabled={downloadingId === transaction._id}
+                            className="block mt-1 text-gray-600 hover:text-gray-900 text-xs font-medium"
+                          >
+                            {downloadingId === transaction._id ? 'Preparing...' : 'Download receipt'}
+                          </button>
+                        )}
                       </td>
                     </tr>
                   ))}
@@ -1,18 +1,40 @@
 import React, { useState, useEffect } from 'react';
-import { useParams } from 'react-router-dom';
+import { useParams, useSearchParams, Link } from 'react-router-dom';
 import { transactionAPI } from '../services/api';
 import websocketService from '../services/websocket';
-import { formatCurrency, formatCrypto, formatDate, truncateAddress, copyToClipboard } from '../utils/formatters';
+import orderReconciliation from '../services/orderReconciliation';
+import { formatCurrency, formatCrypto, formatDate, formatDuration, getStatusText, truncateAddress, copyToClipboard, getTransactionFiat, getTransactionCrypto, isSellTransaction } from '../utils/formatters';
+import { getPayoutMethodLabel } from '../utils/payouts';
+import { formatPromoEffect } from '../utils/promoCodes';
+import { getNetworkLabel } from '../utils/networks';
+import { getExplorer, getTxExplorerUrl, getAddressExplorerUrl } from '../utils/explorers';
+import { getStatusHistory, getStatusTimestamps, appendStatusEvent } from '../utils/statusHistory';
+import { getFlow, getFlowSteps, getStatusOrder, isTerminalStatus, isFailureStatus, isDeliveryStatus } from '../utils/transactionStatuses';
+import { canIssueReceipt } from '../utils/receipts';
+import useReceiptDownload from '../hooks/useReceiptDownload';
+import ConfirmationsIndicator from './ConfirmationsIndicator';
+import StatusTimeline from './StatusTimeline';
+import TransactionSupport from './TransactionSupport';
 import { toast } from 'react-toastify';
 
 const TransactionStatus = () => {
   const { id } = useParams();
+  const [searchParams] = useSearchParams();
   const [transaction, setTransaction] = useState(null);
   const [loading, setLoading] = useState(true);
+  // Background reconciliation of Transak orders (see orderReconciliation.js)
+  const [reconciledAt, setReconciledAt] = useState(null);
+  const [syncPending, setSyncPending] = useState(() => orderReconciliation.hasPendingUpdate(id));
+  const { download, downloading } = useReceiptDownload();
 
   useEffect(() => {
     fetchTransaction();
 
+    // Back from a Stripe redirect (bank or wallet authentication)
+    if (searchParams.get('redirect_status') === 'failed') {
+      toast.error('Your payment was not completed. Please try again with a different payment method.');
+    }
+
     // Listen for real-time updates
     websocketService.on('transaction_update', handleTransactionUpdate);
 
@@ -21,6 +43,32 @@ const TransactionStatus = () => {
     };
   }, [id]);
 
+  useEffect(() => {
+    setSyncPending(orderReconciliation.hasPendingUpdate(id));
+
+    return orderReconciliation.subscribe((update) => {
+      if (update.orderId !== id) return;
+
+      if (update.transaction) {
+        setTransaction((current) => mergeReconciledTransaction(current, update.transaction, update.checkedAt));
+        setReconciledAt(update.checkedAt);
+      }
+      if (update.syncPending !== undefined) {
+        setSyncPending(update.syncPending);
+      }
+    });
+  }, [id]);
+
+  const isTransak = transaction?.provider === 'transak';
+  const settled = isTerminalStatus(transaction?.status);
+
+  // Keep an unsettled Transak order polled even if its widget events were lost
+  useEffect(() => {
+    if (isTransak && !settled) {
+      orderReconciliation.watch(id);
+    }
+  }, [id, isTransak, settled]);
+
   const fetchTransaction = async () => {
     try {
       const response = await transactionAPI.getTransaction(id);
@@ -32,47 +80,92 @@ const TransactionStatus = () => {
     }
   };
 
+  // The Transak order lookup returns a partial transaction (it may lack the
+  // status history, network or tx hash), so merge it like a socket update
+  // instead of replacing what the page already has
+  const mergeReconciledTransaction = (current, reconciled, checkedAt) => {
+    if (!current) return reconciled;
+
+    const { status, statusHistory, ...fields } = reconciled;
+    const defined = Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== undefined));
+
+    if (statusHistory?.length) {
+      return { ...current, ...defined, status: status || current.status, statusHistory };
+    }
+    if (!status || status === current.status) {
+      return { ...current, ...defined };
+    }
+    return appendStatusEvent(
+      { ...current, ...defined },
+      { status, timestamp: checkedAt || new Date().toISOString(), actor: 'system' }
+    );
+  };
+
+  // Socket updates carry the new status event - append it instead of
+  // refetching. Older backends only send the id, so fall back to a refetch.
+  // Changed transaction fields may come along in `data.transaction`; delivery
+  // and terminal statuses are refetched anyway, since the hash, final amounts
+  // and completedAt (explorer links, confirmations, receipts) arrive with them.
   const handleTransactionUpdate = (data) => {
-    if (data.transactionId === id) {
+    if (data.transactionId !== id) return;
+
+    const event = data.event || (data.status && {
+      status: data.status,
+      timestamp: data.timestamp || new Date().toISOString(),
+      actor: data.actor,
+      message: data.message,
+    });
+
+    if (!event) {
+      fetchTransaction();
+      return;
+    }
+
+    setTransaction((current) => (current ? appendStatusEvent(current, event, data.transaction) : current));
+
+    if (isDeliveryStatus(event.status) || isTerminalStatus(event.status)) {
       fetchTransaction();
     }
   };
 
+  const history = getStatusHistory(transaction);
+  const reachedAt = getStatusTimestamps(history);
+
+  const flow = getFlow(transaction?.provider, isSellTransaction(transaction) ? 'sell' : 'buy');
+  const statusOrder = getStatusOrder(flow);
+  const steps = getFlowSteps(flow, getTransactionCrypto(transaction).symbol);
+
+  // Furthest step the transaction got to, from its status or its history
+  const reachedIndex = Math.max(
+    statusOrder.indexOf(transaction?.status),
+    ...statusOrder.map((status, index) => (reachedAt[status] ? index : -1))
+  );
+
   const getStepStatus = (step) => {
     if (!transaction) return 'pending';
 
-    const statusOrder = [
-      'pending',
-      'payment_processing',
-      'payment_confirmed',
-      'converting_to_usdt',
-      'usdt_sent',
-      'completed'
-    ];
-
-    const currentIndex = statusOrder.indexOf(transaction.status);
     const stepIndex = statusOrder.indexOf(step);
 
-    if (transaction.status === 'failed') {
-      return currentIndex >= stepIndex ? 'failed' : 'pending';
+    if (stepIndex <= reachedIndex) {
+      return 'completed';
     }
 
-    if (currentIndex >= stepIndex) {
-      return 'completed';
-    } else if (currentIndex + 1 === stepIndex) {
-      return 'active';
-    } else {
-      return 'pending';
+    // A failed/cancelled transaction stopped at the step after the last one it reached
+    if (isFailureStatus(transaction.status)) {
+      return stepIndex === reachedIndex + 1 ? 'failed' : 'pending';
     }
+
+    return stepIndex === reachedIndex + 1 ? 'active' : 'pending';
   };
 
-  const steps = [
-    { key: 'payment_processing', label: 'Payment Processing', icon: '💳' },
-    { key: 'payment_confirmed', label: 'Payment Confirmed', icon: '✅' },
-    { key: 'converting_to_usdt', label: 'Converting to USDT', icon: '🔄' },
-    { key: 'usdt_sent', label: 'USDT Sent', icon: '🚀' },
-    { key: 'completed', label: 'Completed', icon: '🎉' },
-  ];
+  // How long each step took: time since the previous step was reached
+  const stepDurations = steps.reduce((durations, step, index) => {
+    const previous = index > 0 ? reachedAt[steps[index - 1].status] : history[0]?.timestamp;
+    if (reachedAt[step.status] && previous) {
+      durations[step.status] = new Date(reachedAt[step.status]) - new Date(previous);
+    }
+    return durations;
+  }, {});
 
   const handleCopyAddress = async (address) => {
     const success = await copyToClipboard(address);
@@ -104,6 +197,14 @@ const TransactionStatus = () => {
     );
   }
 
+  const fiat = getTransactionFiat(transaction);
+  const received = getTransactionCrypto(transaction);
+  const isSell = isSellTransaction(transaction);
+
+  // Sell orders have no wallet of ours - show where the crypto is sent instead
+  const address = isSell ? transaction.depositAddress : transaction.walletAddress;
+  const explorer = getExplorer(transaction.blockchainNetwork, transaction.provider);
+
   return (
     <div className="max-w-4xl mx-auto space-y-6">
       {/* Header */}
@@ -112,11 +213,11 @@ const TransactionStatus = () => {
           <h2 className="text-2xl font-bold">Transaction Status</h2>
           <span className={`px-4 py-2 rounded-full text-sm font-medium ${
             transaction.status === 'completed' ? 'bg-green-100 text-green-800' :
-            transaction.status === 'failed' ? 'bg-red-100 text-red-800' :
+            isFailureStatus(transaction.status) ? 'bg-red-100 text-red-800' :
             'bg-blue-100 text-blue-800'
           }`}>
             {transaction.status === 'completed' ? '✅ Completed' :
-             transaction.status === 'failed' ? '❌ Failed' :
+             isFailureStatus(transaction.status) ? `❌ ${getStatusText(transaction.status)}` :
              '⏳ Processing'}
           </span>
         </div>
@@ -131,6 +232,17 @@ const TransactionStatus = () => {
             <p className="font-medium mt-1">{formatDate(transaction.initiatedAt)}</p>
           </div>
         </div>
+
+        {isTransak && syncPending && (
+          <div className="mt-4 p-3 bg-yellow-50 border border-yellow-200 rounded-lg text-sm text-yellow-800">
+            ⚠️ An update from the Transak window hasn't reached our servers yet. It is retried automatically.
+          </div>
+        )}
+        {isTransak && !syncPending && reconciledAt && (
+          <p className="mt-4 text-xs text-gray-500">
+            {settled ? '✓ Status confirmed with Transak' : '🔄 Checking status with Transak'} (last checked {formatDate(reconciledAt)})
+          </p>
+        )}
       </div>
 
       {/* Progress Steps */}
@@ -139,10 +251,10 @@ const TransactionStatus = () => {
 
         <div className="relative">
           {steps.map((step, index) => {
-            const status = getStepStatus(step.key);
+            const status = getStepStatus(step.status);
 
             return (
-              <div key={step.key} className="flex items-start mb-8 last:mb-0">
+              <div key={step.status} className="flex items-start mb-8 last:mb-0">
                 {/* Connector Line */}
                 {index < steps.length - 1 && (
                   <div className={`absolute left-6 top-12 w-0.5 h-16 ${
@@ -170,8 +282,14 @@ const TransactionStatus = () => {
                   <p className="text-sm text-gray-600 mt-1">
                     {status === 'completed' ? 'Completed' :
                      status === 'active' ? 'In progress...' :
-                     status === 'failed' ? 'Failed' :
+                     status === 'failed' ? getStatusText(transaction.status) :
                      'Waiting...'}
+                    {reachedAt[step.status] && (
+                      <span className="text-gray-500">
+                        {' · '}{formatDate(reachedAt[step.status])}
+                        {stepDurations[step.status] != null && ` (took ${formatDuration(stepDurations[step.status])})`}
+                      </span>
+                    )}
                   </p>
                 </div>
               </div>
@@ -180,48 +298,98 @@ const TransactionStatus = () => {
         </div>
       </div>
 
+      <StatusTimeline history={history} />
+
       {/* Transaction Details */}
       <div className="card">
         <h3 className="text-lg font-semibold mb-4">Transaction Details</h3>
 
         <div className="space-y-4">
-          <div className="flex justify-between items-center py-3 border-b">
-            <span className="text-gray-600">Amount Paid</span>
-            <span className="font-bold text-lg">{formatCurrency(transaction.amountUSD)}</span>
-          </div>
+          {isSell ? (
+            <>
+              <div className="flex justify-between items-center py-3 border-b">
+                <span className="text-gray-600">Amount Sold</span>
+                <span className="font-bold text-lg">{formatCrypto(received.amount, received.symbol)}</span>
+              </div>
 
-          <div className="flex justify-between items-center py-3 border-b">
-            <span className="text-gray-600">USDT Received</span>
-            <span className="font-bold text-lg text-primary-600">{formatCrypto(transaction.usdtAmount)}</span>
-          </div>
+              <div className="flex justify-between items-center py-3 border-b">
+                <span className="text-gray-600">Payout</span>
+                <span className="font-bold text-lg text-primary-600">{formatCurrency(fiat.amount, fiat.currency)}</span>
+              </div>
+
+              <div className="flex justify-between items-center py-3 border-b">
+                <span className="text-gray-600">Payout Method</span>
+                <span className="font-medium">{getPayoutMethodLabel(transaction.payoutMethod)}</span>
+              </div>
+            </>
+          ) : (
+            <>
+              <div className="flex justify-between items-center py-3 border-b">
+                <span className="text-gray-600">Amount Paid</span>
+                <span className="font-bold text-lg">{formatCurrency(fiat.amount, fiat.currency)}</span>
+              </div>
+
+              <div className="flex justify-between items-center py-3 border-b">
+                <span className="text-gray-600">{received.symbol} Received</span>
+                <span className="font-bold text-lg text-primary-600">{formatCrypto(received.amount, received.symbol)}</span>
+              </div>
+            </>
+          )}
 
           <div className="flex justify-between items-center py-3 border-b">
             <span className="text-gray-600">Exchange Rate</span>
-            <span className="font-medium">1 USD = {transaction.exchangeRate} USDT</span>
+            <span className="font-medium">
+              {isSell
+                ? `1 ${received.symbol} = ${transaction.exchangeRate} ${fiat.currency}`
+                : `1 ${fiat.currency} = ${transaction.exchangeRate} ${received.symbol}`}
+            </span>
           </div>
 
           <div className="flex justify-between items-center py-3 border-b">
             <span className="text-gray-600">Service Fee</span>
-            <span className="font-medium">{formatCurrency(transaction.conversionFee)} ({transaction.feePercentage}%)</span>
+            <span className="font-medium">{formatCurrency(transaction.conversionFee, fiat.currency)} ({transaction.feePercentage}%)</span>
           </div>
 
+          {transaction.promo && (
+            <div className="flex justify-between items-center py-3 border-b">
+              <span className="text-gray-600">Promo Code</span>
+              <span className="font-medium text-green-700">
+                <span className="font-mono">{transaction.promo.code}</span> ({formatPromoEffect(transaction.promo, fiat.currency, received.symbol)})
+              </span>
+            </div>
+          )}
+
           <div className="flex justify-between items-center py-3 border-b">
             <span className="text-gray-600">Network</span>
-            <span className="font-medium">{transaction.blockchainNetwork}</span>
+            <span className="font-medium">{getNetworkLabel(transaction.blockchainNetwork)}</span>
           </div>
 
-          <div className="flex justify-between items-center py-3">
-            <span className="text-gray-600">Wallet Address</span>
-            <button
-              onClick={() => handleCopyAddress(transaction.walletAddress)}
-              className="flex items-center space-x-2 text-primary-600 hover:text-primary-700"
-            >
-              <span className="font-mono text-sm">{truncateAddress(transaction.walletAddress)}</span>
-              <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 16H6a2 2 0 01-2-2V6a2 2 0 012-2h8a2 2 0 012 2v2m-6 12h8a2 2 0 002-2v-8a2 2 0 00-2-2h-8a2 2 0 00-2 2v8a2 2 0 002 2z" />
-              </svg>
-            </button>
-          </div>
+          {address && (
+            <div className="flex justify-between items-center py-3">
+              <span className="text-gray-600">{isSell ? 'Deposit Address' : 'Wallet Address'}</span>
+              <button
+                onClick={() => handleCopyAddress(address)}
+                className="flex items-center space-x-2 text-primary-600 hover:text-primary-700"
+              >
+                <span className="font-mono text-sm">{truncateAddress(address)}</span>
+                <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 16H6a2 2 0 01-2-2V6a2 2 0 012-2h8a2 2 0 012 2v2m-6 12h8a2 2 0 002-2v-8a2 2 0 00-2-2h-8a2 2 0 00-2 2v8a2 2 0 002 2z" />
+                </svg>
+              </button>
+            </div>
+          )}
+          {address && explorer && (
+            <div className="text-right -mt-2 pb-3 border-b">
+              <a
+                href={getAddressExplorerUrl(transaction.blockchainNetwork, address, transaction.provider)}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="text-xs text-primary-600 hover:underline"
+              >
+                View address on {explorer.name} →
+              </a>
+            </div>
+          )}
 
           {transaction.transactionHash && (
             <div className="py-3 bg-green-50 rounded-lg px-4">
@@ -237,14 +405,17 @@ const TransactionStatus = () => {
                   </svg>
                 </button>
               </div>
-              <a
-                href={`https://tronscan.org/#/transaction/${transaction.transactionHash}`}
-                target="_blank"
-                rel="noopener noreferrer"
-                className="text-sm text-green-600 hover:underline mt-2 inline-block"
-              >
-                View on Blockchain Explorer →
-              </a>
+              <ConfirmationsIndicator transactionId={transaction._id} network={transaction.blockchainNetwork} />
+              {explorer && (
+                <a
+                  href={getTxExplorerUrl(transaction.blockchainNetwork, transaction.transactionHash, transaction.provider)}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="text-sm text-green-600 hover:underline mt-2 inline-block"
+                >
+                  View on {explorer.name} →
+                </a>
+              )}
             </div>
           )}
 
@@ -255,6 +426,25 @@ const TransactionStatus = () => {
           )}
         </div>
       </div>
+
+      {canIssueReceipt(transaction) && (
+        <div className="card flex items-center justify-between">
+          <div>
+            <h3 className="text-lg font-semibold">Receipt</h3>
+            <p className="text-sm text-gray-600">Proof of purchase for your records</p>
+          </div>
+          <div className="flex space-x-3">
+            <Link to={`/transaction/${transaction._id}/receipt`} className="btn btn-secondary">
+              Print
+            </Link>
+            <button onClick={() => download(transaction)} disabled={downloading} className="btn btn-primary">
+              {downloading ? 'Preparing...' : 'Download receipt'}
+            </button>
+          </div>
+        </div>
+      )}
+
+      <TransactionSupport transaction={transaction} />
     </div>
   );
 };
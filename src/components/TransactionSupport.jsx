@@ -0,0 +1,95 @@
+import React, { useState, useEffect } from 'react';
+import { supportAPI } from '../services/api';
+import websocketService from '../services/websocket';
+import { isFailureStatus } from '../utils/transactionStatuses';
+import { isOpenTicket, appendTicketMessage } from '../utils/supportTickets';
+import SupportTicketForm from './SupportTicketForm';
+import SupportTicketThread from './SupportTicketThread';
+import { toast } from 'react-toastify';
+
+/**
+ * "Get help with this transaction" card on TransactionStatus. Shows the
+ * latest support ticket for the transaction as a conversation, or the form
+ * to open one. Support replies arrive over the websocket.
+ */
+const TransactionSupport = ({ transaction }) => {
+  const [ticket, setTicket] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [formOpen, setFormOpen] = useState(false);
+
+  useEffect(() => {
+    fetchTicket();
+  }, [transaction._id]);
+
+  useEffect(() => {
+    if (!ticket) return;
+
+    const handleReply = (data) => {
+      if (data.ticketId !== ticket._id) return;
+      setTicket((current) => appendTicketMessage(current, data.message, data.status));
+      if (data.message?.author !== 'user') {
+        toast.info('Support replied to your ticket');
+      }
+    };
+
+    websocketService.on('support_reply', handleReply);
+    return () => {
+      websocketService.off('support_reply', handleReply);
+    };
+  }, [ticket?._id]);
+
+  const fetchTicket = async () => {
+    try {
+      const response = await supportAPI.getTickets({ transactionId: transaction._id });
+      // Newest first
+      setTicket(response.data.tickets?.[0] || null);
+    } catch (error) {
+      // Non-critical - the rest of the page works without it
+      console.error('Failed to load support tickets:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleCreated = (created) => {
+    setTicket(created);
+    setFormOpen(false);
+  };
+
+  if (loading) {
+    return null;
+  }
+
+  const showThread = ticket && !formOpen;
+
+  return (
+    <div className="card">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-semibold">Get help with this transaction</h3>
+        {!formOpen && !isOpenTicket(ticket) && (
+          <button onClick={() => setFormOpen(true)} className="btn btn-secondary">
+            {ticket ? 'Open New Ticket' : 'Contact Support'}
+          </button>
+        )}
+      </div>
+
+      {formOpen ? (
+        <SupportTicketForm
+          transaction={transaction}
+          onCreated={handleCreated}
+          onCancel={() => setFormOpen(false)}
+        />
+      ) : showThread ? (
+        <SupportTicketThread ticket={ticket} onUpdate={setTicket} />
+      ) : (
+        <p className="text-sm text-gray-600">
+          {isFailureStatus(transaction.status)
+            ? 'Something went wrong with this transaction. Our support team can look into it for you.'
+            : 'Is this transaction stuck or not what you expected? Our support team can look into it.'}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default TransactionSupport;
@@ -0,0 +1,67 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { paymentAPI } from '../services/api';
+import { formatCurrency, formatDate } from '../utils/formatters';
+import { getNetworkLabel } from '../utils/networks';
+import { getFrequencyText } from '../utils/schedules';
+
+const MAX_UPCOMING = 3;
+
+// Dashboard card listing the next runs of the user's active recurring plans
+const UpcomingPurchases = () => {
+  const [schedules, setSchedules] = useState([]);
+
+  useEffect(() => {
+    fetchUpcoming();
+  }, []);
+
+  const fetchUpcoming = async () => {
+    try {
+      const response = await paymentAPI.getSchedules({ status: 'active' });
+      const upcoming = (response.data.schedules || [])
+        .filter((schedule) => schedule.nextRunAt)
+        .sort((a, b) => new Date(a.nextRunAt) - new Date(b.nextRunAt));
+      setSchedules(upcoming.slice(0, MAX_UPCOMING));
+    } catch (error) {
+      // Non-critical - the dashboard works without it
+      console.error('Failed to load upcoming purchases:', error);
+    }
+  };
+
+  if (schedules.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="card">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-xl font-bold">Upcoming Purchases</h2>
+        <Link to="/recurring" className="text-primary-600 hover:text-primary-700 text-sm font-medium">
+          Manage →
+        </Link>
+      </div>
+
+      <div className="divide-y divide-gray-200">
+        {schedules.map((schedule) => (
+          <Link
+            key={schedule._id}
+            to={`/recurring/${schedule._id}`}
+            className="flex items-center justify-between py-3 hover:bg-gray-50"
+          >
+            <div>
+              <div className="font-medium text-gray-900">
+                {formatCurrency(schedule.fiatAmount, schedule.fiatCurrency)} of {schedule.cryptoCurrency}
+              </div>
+              <div className="text-sm text-gray-600">
+                {getFrequencyText(schedule.frequency)} · {getNetworkLabel(schedule.network)}
+              </div>
+            </div>
+            <div className="text-sm text-gray-600">{formatDate(schedule.nextRunAt)}</div>
+          </Link>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default UpcomingPurchases;
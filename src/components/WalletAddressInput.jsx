@@ -0,0 +1,59 @@
+import React from 'react';
+import { validateAddress } from '../utils/addressValidation';
+import { getNetwork } from '../utils/networks';
+
+/**
+ * Wallet address input with inline checksum validation.
+ *
+ * Validation runs on every change; errors are only shown once something has
+ * been typed so an empty optional field stays quiet. Parent forms still call
+ * validateAddress() on submit before sending anything to the backend.
+ */
+const WalletAddressInput = ({
+  label,
+  value,
+  onChange,
+  network,
+  name = 'walletAddress',
+  required = false,
+  disabled = false,
+  helpText,
+  labelClassName = 'block text-sm font-medium text-gray-700 mb-2',
+}) => {
+  const selected = getNetwork(network);
+  const { valid, error } = validateAddress(value, network);
+  const showError = !!value && !valid;
+
+  return (
+    <div>
+      <label className={labelClassName}>
+        {label}
+      </label>
+      <input
+        type="text"
+        name={name}
+        value={value}
+        onChange={(e) => onChange(e.target.value.trim())}
+        placeholder={selected?.placeholder || 'TXYZxG5FdhZ5CdKWPSqZvC...'}
+        className={`input font-mono text-sm ${showError ? 'border-red-500 focus:ring-red-500' : ''}`}
+        spellCheck={false}
+        autoComplete="off"
+        required={required}
+        disabled={disabled}
+      />
+      {showError ? (
+        <p className="text-sm text-red-600 mt-1">{error}</p>
+      ) : value && valid ? (
+        <p className="text-sm text-green-600 mt-1">
+          {selected ? `✓ Valid ${selected.label} address` : '✓ Valid address'}
+        </p>
+      ) : (
+        <p className="text-sm text-gray-500 mt-1">
+          {helpText || selected?.hint}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default WalletAddressInput;
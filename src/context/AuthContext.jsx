@@ -1,6 +1,7 @@
 import React, { createContext, useContext, useState, useEffect } from 'react';
 import { authAPI } from '../services/api';
 import websocketService from '../services/websocket';
+import orderReconciliation from '../services/orderReconciliation';
 
 const AuthContext = createContext(null);
 
@@ -33,8 +34,11 @@ export const AuthProvider = ({ children }) => {
     if (user) {
       websocketService.connect();
       websocketService.joinRoom(user._id);
+      // Resume retrying queued status updates and polling unsettled orders
+      orderReconciliation.start(user._id);
     } else {
       websocketService.disconnect();
+      orderReconciliation.stop();
     }
 
     return () => {
@@ -146,6 +150,7 @@ export const AuthProvider = ({ children }) => {
     localStorage.removeItem('token');
     localStorage.removeItem('user');
     websocketService.disconnect();
+    orderReconciliation.stop();
   };
 
   const updateUser = async (userData) => {
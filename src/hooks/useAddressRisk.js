@@ -0,0 +1,35 @@
+import { useState, useEffect } from 'react';
+import { transactionAPI } from '../services/api';
+import { useAuth } from '../context/AuthContext';
+import { assessAddressRisk } from '../utils/addressRisk';
+
+/**
+ * Risks of paying to `address` (see src/utils/addressRisk.js), checked
+ * against the user's past destinations and profile wallet. With
+ * `blocklistOnly` (someone else's address, e.g. a payment request) the
+ * history and look-alike checks don't apply.
+ */
+const useAddressRisk = (address, { blocklistOnly = false } = {}) => {
+  const { user } = useAuth();
+  const [usedAddresses, setUsedAddresses] = useState(null);
+
+  useEffect(() => {
+    if (blocklistOnly) return;
+
+    transactionAPI.getUsedAddresses()
+      .then((response) => setUsedAddresses(response.data.addresses || []))
+      // Without history we can't tell what's new - only the other checks run
+      .catch((error) => console.error('Failed to load used addresses:', error));
+  }, [blocklistOnly]);
+
+  if (blocklistOnly) {
+    return assessAddressRisk(address);
+  }
+
+  return assessAddressRisk(address, {
+    usedAddresses,
+    profileAddress: user?.walletAddress,
+  });
+};
+
+export default useAddressRisk;
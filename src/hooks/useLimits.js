@@ -0,0 +1,44 @@
+import { useState, useEffect } from 'react';
+import { authAPI } from '../services/api';
+
+/**
+ * The signed-in user's verification tier and remaining purchase limits,
+ * converted by the backend into `currency`. `limits` is null while loading
+ * (including after a currency change) or if the backend can't provide them -
+ * callers then fall back to the provider limits and wait for `loading` before
+ * relying on them (the backend enforces the user limits either way).
+ */
+const useLimits = (currency = 'USD') => {
+  const [limits, setLimits] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [refreshCount, setRefreshCount] = useState(0);
+
+  useEffect(() => {
+    let cancelled = false;
+    // Limits in the previous currency don't apply to the new one
+    setLimits(null);
+    setLoading(true);
+
+    authAPI.getLimits({ currency })
+      .then((response) => {
+        if (!cancelled) setLimits(response.data);
+      })
+      .catch((error) => {
+        console.error('Failed to load purchase limits:', error);
+        if (!cancelled) setLimits(null);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [currency, refreshCount]);
+
+  const refresh = () => setRefreshCount((count) => count + 1);
+
+  return { limits, loading, refresh };
+};
+
+export default useLimits;
@@ -0,0 +1,74 @@
+import { useState, useEffect, useRef } from 'react';
+import { paymentAPI } from '../services/api';
+
+const DEBOUNCE_MS = 500;
+
+/**
+ * Fee estimate per network for the current amount, from the backend fee
+ * endpoint. Debounced and cancellable like useQuote, so typing an amount
+ * doesn't fire a request per keystroke and a late response can't overwrite
+ * a newer one.
+ *
+ * `fees` maps network key → { networkFee, cryptoAmount, arrivalMinutes }.
+ * Previous estimates stay visible while new ones load.
+ */
+const useNetworkFees = (provider, { fiatAmount, fiatCurrency = 'USD', cryptoCurrency = 'USDT', networks = [], enabled = true }) => {
+  const [fees, setFees] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [refreshCount, setRefreshCount] = useState(0);
+
+  // Only the latest request may update state
+  const requestIdRef = useRef(0);
+  const networkList = networks.join(',');
+
+  useEffect(() => {
+    if (!enabled || !provider || !networkList) {
+      setFees(null);
+      setError(null);
+      setLoading(false);
+      return;
+    }
+
+    const controller = new AbortController();
+    const requestId = ++requestIdRef.current;
+
+    setLoading(true);
+    setError(null);
+
+    const timer = setTimeout(async () => {
+      try {
+        const response = await paymentAPI.getNetworkFees(
+          { provider: provider.id, fiatAmount, fiatCurrency, cryptoCurrency, networks: networkList },
+          { signal: controller.signal }
+        );
+        if (controller.signal.aborted || requestId !== requestIdRef.current) return;
+
+        const byNetwork = (response.data.fees || []).reduce((map, fee) => {
+          map[fee.network] = fee;
+          return map;
+        }, {});
+        setFees(byNetwork);
+        setLoading(false);
+      } catch (err) {
+        if (err.isCancelled || requestId !== requestIdRef.current) return;
+
+        console.error('Failed to fetch network fees:', err);
+        setFees(null);
+        setError(err.message || 'Unable to estimate network fees');
+        setLoading(false);
+      }
+    }, DEBOUNCE_MS);
+
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [provider, fiatAmount, fiatCurrency, cryptoCurrency, networkList, enabled, refreshCount]);
+
+  const refresh = () => setRefreshCount((count) => count + 1);
+
+  return { fees, loading, error, refresh };
+};
+
+export default useNetworkFees;
@@ -0,0 +1,84 @@
+import { useState, useEffect, useRef } from 'react';
+import { paymentAPI } from '../services/api';
+import { normalizePromoCode, getPromoErrorMessage } from '../utils/promoCodes';
+
+const DEBOUNCE_MS = 500;
+
+/**
+ * Promo code applied to the current purchase.
+ *
+ * apply(code) validates the code for the current amount; once applied it is
+ * re-validated whenever the purchase changes, since eligibility can depend on
+ * the amount or asset. `code` stays set while `promo` is null and `error`
+ * explains why it no longer applies.
+ */
+const usePromoCode = (provider, { fiatAmount, fiatCurrency, cryptoCurrency }) => {
+  const [code, setCode] = useState(null);
+  const [promo, setPromo] = useState(null);
+  const [error, setError] = useState(null);
+  const [validating, setValidating] = useState(false);
+
+  // Only the latest request may update state
+  const requestIdRef = useRef(0);
+  // Applying a code skips the debounce
+  const immediateRef = useRef(false);
+
+  useEffect(() => {
+    if (!code) {
+      setPromo(null);
+      setError(null);
+      setValidating(false);
+      return;
+    }
+
+    const controller = new AbortController();
+    const requestId = ++requestIdRef.current;
+    const delay = immediateRef.current ? 0 : DEBOUNCE_MS;
+    immediateRef.current = false;
+
+    setValidating(true);
+
+    const timer = setTimeout(async () => {
+      try {
+        const response = await paymentAPI.validatePromoCode(
+          code,
+          { provider: provider.id, fiatAmount, fiatCurrency, cryptoCurrency },
+          { signal: controller.signal }
+        );
+        if (requestId !== requestIdRef.current) return;
+
+        setPromo(response.data.promo);
+        setError(null);
+        setValidating(false);
+      } catch (err) {
+        if (err.isCancelled || requestId !== requestIdRef.current) return;
+
+        setPromo(null);
+        setError(getPromoErrorMessage(err));
+        setValidating(false);
+      }
+    }, delay);
+
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [code, provider, fiatAmount, fiatCurrency, cryptoCurrency]);
+
+  const apply = (value) => {
+    const normalized = normalizePromoCode(value);
+    if (!normalized) return;
+
+    immediateRef.current = true;
+    setPromo(null);
+    setCode(normalized);
+  };
+
+  const remove = () => {
+    setCode(null);
+  };
+
+  return { code, promo, error, validating, apply, remove };
+};
+
+export default usePromoCode;
@@ -0,0 +1,104 @@
+import { useState, useEffect, useRef } from 'react';
+
+const DEBOUNCE_MS = 500;
+const REFRESHED_INDICATOR_MS = 2500;
+
+/**
+ * Live price quote from the selected payment provider for the current form state.
+ *
+ * - Debounced: typing an amount only fetches once the user pauses
+ * - Cancellable: a superseded request is aborted and its response discarded
+ *   (even if the provider ignores the abort signal), so a late response can
+ *   never overwrite a newer quote
+ * - Self-refreshing: re-quotes as soon as the current quote expires (for
+ *   providers whose quotes carry an `expiresAt`)
+ *
+ * `refreshed` is true for a moment after a new quote replaces an old one.
+ */
+const useQuote = (provider, { fiatAmount, fiatCurrency = 'USD', cryptoCurrency = 'USDT', network, promoCode, enabled = true }) => {
+  const [quote, setQuote] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [refreshed, setRefreshed] = useState(false);
+  const [refreshCount, setRefreshCount] = useState(0);
+
+  // Expiry-driven refreshes skip the debounce
+  const immediateRef = useRef(false);
+  const quoteRef = useRef(null);
+  // Only the latest request may update state
+  const requestIdRef = useRef(0);
+
+  useEffect(() => {
+    if (!enabled || !provider) {
+      quoteRef.current = null;
+      setQuote(null);
+      setError(null);
+      setLoading(false);
+      return;
+    }
+
+    const controller = new AbortController();
+    const requestId = ++requestIdRef.current;
+    const delay = immediateRef.current ? 0 : DEBOUNCE_MS;
+    immediateRef.current = false;
+
+    setLoading(true);
+    setError(null);
+
+    const timer = setTimeout(async () => {
+      try {
+        const nextQuote = await provider.getQuote(
+          { fiatAmount, fiatCurrency, cryptoCurrency, network, promoCode },
+          { signal: controller.signal }
+        );
+        if (controller.signal.aborted || requestId !== requestIdRef.current) return;
+
+        if (quoteRef.current) {
+          setRefreshed(true);
+        }
+        quoteRef.current = nextQuote;
+        setQuote(nextQuote);
+        setLoading(false);
+      } catch (err) {
+        if (err.isCancelled || requestId !== requestIdRef.current) return;
+
+        console.error(`Failed to fetch ${provider.name} quote:`, err);
+        quoteRef.current = null;
+        setQuote(null);
+        setError(err.message || 'Unable to get a price quote');
+        setLoading(false);
+      }
+    }, delay);
+
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [provider, fiatAmount, fiatCurrency, cryptoCurrency, network, promoCode, enabled, refreshCount]);
+
+  // Re-quote when the current quote expires
+  useEffect(() => {
+    if (!quote?.expiresAt) return;
+
+    const msUntilExpiry = new Date(quote.expiresAt).getTime() - Date.now();
+    const timer = setTimeout(() => refresh(), Math.max(msUntilExpiry, 0));
+
+    return () => clearTimeout(timer);
+  }, [quote]);
+
+  useEffect(() => {
+    if (!refreshed) return;
+
+    const timer = setTimeout(() => setRefreshed(false), REFRESHED_INDICATOR_MS);
+    return () => clearTimeout(timer);
+  }, [refreshed]);
+
+  const refresh = () => {
+    immediateRef.current = true;
+    setRefreshCount((count) => count + 1);
+  };
+
+  return { quote, loading, error, refreshed, refresh };
+};
+
+export default useQuote;
@@ -0,0 +1,27 @@
+import { useState } from 'react';
+import { downloadReceiptPdf } from '../utils/receipts';
+import { toast } from 'react-toastify';
+
+/**
+ * Receipt PDF download with progress. `downloadingId` is the transaction
+ * being prepared, so lists can show progress on the right row.
+ */
+const useReceiptDownload = () => {
+  const [downloadingId, setDownloadingId] = useState(null);
+
+  const download = async (transaction) => {
+    setDownloadingId(transaction._id);
+    try {
+      await downloadReceiptPdf(transaction);
+    } catch (error) {
+      console.error('Failed to generate receipt:', error);
+      toast.error('Failed to generate receipt');
+    } finally {
+      setDownloadingId(null);
+    }
+  };
+
+  return { download, downloading: !!downloadingId, downloadingId };
+};
+
+export default useReceiptDownload;
@@ -1,10 +1,11 @@
 import React, { useState } from 'react';
-import { Link, useNavigate } from 'react-router-dom';
+import { Link, useLocation, useNavigate } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 import { toast } from 'react-toastify';
 
 const Login = () => {
   const navigate = useNavigate();
+  const location = useLocation();
   const { login } = useAuth();
   const [formData, setFormData] = useState({
     email: '',
@@ -30,7 +31,8 @@ const Login = () => {
       if (result.success) {
         console.log('✅ Login successful');
         toast.success('Login successful!');
-        navigate('/dashboard');
+        // Back to the page that required login (e.g. a shared payment link)
+        navigate(location.state?.from || '/dashboard', { replace: true });
       } else {
         // Email verification DISABLED - No verification redirect
         console.error('❌ Login failed:', result.error);
@@ -96,7 +98,7 @@ const Login = () => {
           <div className="mt-6 text-center">
             <p className="text-sm text-gray-600">
               Don't have an account?{' '}
-              <Link to="/register" className="text-primary-600 hover:text-primary-700 font-medium">
+              <Link to="/register" state={location.state} className="text-primary-600 hover:text-primary-700 font-medium">
                 Register here
               </Link>
             </p>
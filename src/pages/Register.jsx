@@ -1,16 +1,24 @@
 import React, { useState } from 'react';
-import { Link, useNavigate } from 'react-router-dom';
+import { Link, useLocation, useNavigate, useSearchParams } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 import { toast } from 'react-toastify';
+import { validateAddress } from '../utils/addressValidation';
+import { REFERRAL_PARAM, normalizeReferralCode } from '../utils/referrals';
+import WalletAddressInput from '../components/WalletAddressInput';
 
 const Register = () => {
   const navigate = useNavigate();
+  const location = useLocation();
+  const [searchParams] = useSearchParams();
   const { register } = useAuth();
+  // Invite links are /register?ref=CODE
+  const invitedWith = normalizeReferralCode(searchParams.get(REFERRAL_PARAM));
   const [formData, setFormData] = useState({
     email: '',
     password: '',
     fullName: '',
     walletAddress: '',
+    referralCode: invitedWith,
   });
   const [loading, setLoading] = useState(false);
 
@@ -23,17 +31,30 @@ const Register = () => {
 
   const handleSubmit = async (e) => {
     e.preventDefault();
+
+    // Wallet address is optional, but if given it must be valid
+    if (formData.walletAddress) {
+      const addressCheck = validateAddress(formData.walletAddress);
+      if (!addressCheck.valid) {
+        toast.error(addressCheck.error);
+        return;
+      }
+    }
+
     setLoading(true);
 
     try {
       console.log('📋 Registration form submitted');
-      const result = await register(formData);
+      const result = await register({
+        ...formData,
+        referralCode: normalizeReferralCode(formData.referralCode) || undefined,
+      });
 
       if (result.success) {
         // Email verification DISABLED - Users are auto-logged in after registration
         console.log('✅ Registration successful, auto-login enabled');
         toast.success('Registration successful! Welcome to USDT Payment!');
-        navigate('/dashboard');
+        navigate(location.state?.from || '/dashboard', { replace: true });
       } else {
         console.error('❌ Registration failed:', result.error);
         toast.error(result.error || 'Registration failed');
@@ -55,6 +76,12 @@ const Register = () => {
             <p className="text-gray-600 mt-2">Start converting USD to USDT instantly</p>
           </div>
 
+          {invitedWith && (
+            <div className="mb-6 p-3 bg-green-50 border border-green-200 rounded-lg text-sm text-green-800 text-center">
+              🎁 You've been invited! Your referral code is applied.
+            </div>
+          )}
+
           <form onSubmit={handleSubmit} className="space-y-6">
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-2">
@@ -105,21 +132,26 @@ const Register = () => {
               </p>
             </div>
 
+            <WalletAddressInput
+              label="USDT Wallet Address (Optional)"
+              value={formData.walletAddress}
+              onChange={(walletAddress) => setFormData({ ...formData, walletAddress })}
+              helpText="You can add this later"
+            />
+
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-2">
-                USDT Wallet Address (Optional)
+                Referral Code (Optional)
               </label>
               <input
                 type="text"
-                name="walletAddress"
-                value={formData.walletAddress}
+                name="referralCode"
+                value={formData.referralCode}
                 onChange={handleChange}
-                placeholder="TXYZxG5FdhZ5CdKWPSqZvC..."
-                className="input font-mono text-sm"
+                placeholder="e.g. JANE42"
+                className="input font-mono uppercase"
+                autoComplete="off"
               />
-              <p className="text-xs text-gray-500 mt-1">
-                You can add this later
-              </p>
             </div>
 
             <button
@@ -134,7 +166,7 @@ const Register = () => {
           <div className="mt-6 text-center">
             <p className="text-sm text-gray-600">
               Already have an account?{' '}
-              <Link to="/login" className="text-primary-600 hover:text-primary-700 font-medium">
+              <Link to="/login" state={location.state} className="text-primary-600 hover:text-primary-700 font-medium">
                 Login here
               </Link>
             </p>
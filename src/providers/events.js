@@ -0,0 +1,21 @@
+// Status events every provider's checkout emits through `onEvent`
+// ({ type, orderId, message, data }), regardless of how the provider
+// reports them internally (widget callbacks, PaymentIntent results, ...).
+// FAILED may carry `retryable: true` when the same order can be checked out
+// again (e.g. a declined card on a still-open PaymentIntent).
+export const PROVIDER_EVENTS = {
+  OPENED: 'opened',
+  CLOSED: 'closed',
+  PROCESSING: 'processing',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled',
+};
+
+// After these the checkout is over and the form can be used again
+export const FINAL_EVENTS = [
+  PROVIDER_EVENTS.CLOSED,
+  PROVIDER_EVENTS.COMPLETED,
+  PROVIDER_EVENTS.FAILED,
+  PROVIDER_EVENTS.CANCELLED,
+];
@@ -0,0 +1,71 @@
+import transakProvider from './transak';
+import stripeProvider from './stripe';
+
+/**
+ * Payment provider registry
+ *
+ * /payment renders one purchase form for every provider. A provider is a
+ * plain object implementing:
+ *
+ *   id, name, description, icon       identity shown in the provider picker
+ *   defaultAmount, notes, footnote    form copy
+ *   resumable                         order can be resumed after a reload
+ *   isConfigured() / missingConfig    env keys present?
+ *   getLimits(fiatCurrency)           { min, max }
+ *   getAssets() / getNetworks(asset)  what can be bought and where
+ *   getQuote(params, { signal })      normalized quote (see QuotePreview);
+ *                                     params.promoCode is priced in
+ *   createOrder(params)               backend order → { orderId, duplicate,
+ *                                     ... }; params.idempotencyKey is sent
+ *                                     along and `duplicate` is true when the
+ *                                     backend returned an existing order;
+ *                                     params.metadata is stored on the
+ *                                     transaction (e.g. address risk overrides)
+ *   validateCheckout(checkout)        optional; error message or null, run
+ *                                     before an order is created or retried
+ *   launchCheckout(order, ctx)        runs the checkout, reports progress via
+ *                                     ctx.onEvent (PROVIDER_EVENTS); returns
+ *                                     { close() }
+ *   getOrderStatus(orderId)           optional, for resumable providers
+ *   cancelOrder(orderId, reason)      optional, for resumable providers
+ *   createSellOrder(params)           optional off-ramp (see /sell); with
+ *   launchSellCheckout(order, ctx)    the same contract as their buy
+ *                                     counterparts
+ *   Wrapper                           optional component around the form
+ *   CheckoutFields                    optional component inside the form
+ *                                     (receives `checkoutRef`, `fiatAmount`,
+ *                                     `fiatCurrency`)
+ *
+ * Adding or retiring a provider only touches this registry.
+ */
+const providers = new Map();
+
+export const registerProvider = (provider) => {
+  providers.set(provider.id, provider);
+};
+
+export const getProvider = (id) => providers.get(id) || null;
+
+export const getProviders = () => Array.from(providers.values());
+
+/**
+ * Providers the user may choose from. `config` is the backend's provider
+ * config ({ providers: [{ id, enabled }], defaultProvider }); without it every
+ * locally configured provider is offered.
+ */
+export const getEnabledProviders = (config) => {
+  const enabledIds = config?.providers
+    ?.filter((p) => p.enabled)
+    .map((p) => p.id);
+
+  return getProviders().filter((provider) =>
+    !enabledIds || enabledIds.includes(provider.id)
+  );
+};
+
+export const DEFAULT_PROVIDER_ID = 'transak';
+
+registerProvider(transakProvider);
+registerProvider(stripeProvider);
+
+export { PROVIDER_EVENTS, FINAL_EVENTS } from './events';
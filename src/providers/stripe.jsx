@@ -0,0 +1,240 @@
+import React, { useEffect } from 'react';
+import { loadStripe } from '@stripe/stripe-js';
+import { Elements, PaymentElement, useStripe, useElements } from '@stripe/react-stripe-js';
+import { paymentAPI } from '../services/api';
+import { getFiatLimits, DEFAULT_FIAT_CURRENCY } from '../utils/currencies';
+import { getNetworkLabel } from '../utils/networks';
+import { PROVIDER_EVENTS } from './events';
+
+/**
+ * Stripe provider (legacy)
+ *
+ * User pays through Stripe's Payment Element (cards, Apple Pay, Google Pay,
+ * Link), our backend converts the payment to USDT via Binance and sends it
+ * on TRC20.
+ *
+ * The Payment Element runs in deferred-intent mode: it is shown before any
+ * PaymentIntent exists and only validated (elements.submit()) when the form
+ * is submitted. A PaymentIntent that fails with a retryable status keeps
+ * being used for the next attempt, so switching card or wallet doesn't
+ * create a second intent.
+ */
+
+// Initialize Stripe with public key
+const stripePublicKey = import.meta.env.VITE_STRIPE_PUBLIC_KEY;
+
+if (!stripePublicKey) {
+  console.error('Stripe publishable key is missing. Please set VITE_STRIPE_PUBLIC_KEY in your environment variables.');
+}
+
+const stripePromise = stripePublicKey ? loadStripe(stripePublicKey) : null;
+
+const DEFAULT_AMOUNT = 450;
+
+// Stripe amounts are in minor units (USD, EUR and GBP all have two decimals)
+const toMinorUnits = (amount) => Math.round((amount || 0) * 100);
+
+const ELEMENTS_OPTIONS = {
+  mode: 'payment',
+  amount: toMinorUnits(DEFAULT_AMOUNT),
+  currency: DEFAULT_FIAT_CURRENCY.toLowerCase(),
+  appearance: {
+    theme: 'stripe',
+    variables: {
+      colorPrimary: '#6366f1', // Primary color (indigo-600)
+      fontSizeBase: '16px',
+    },
+  },
+};
+
+// Stripe.js needs <Elements> above anything that uses useStripe/useElements
+const StripeWrapper = ({ children }) => {
+  return (
+    <Elements stripe={stripePromise} options={ELEMENTS_OPTIONS}>
+      {children}
+    </Elements>
+  );
+};
+
+// Payment Element; keeps its amount in sync with the form (wallet sheets show
+// it) and hands the Stripe instances to the form's checkout context so
+// launchCheckout() can confirm the payment
+const StripeCheckoutFields = ({ checkoutRef, fiatAmount, fiatCurrency }) => {
+  const stripe = useStripe();
+  const elements = useElements();
+
+  useEffect(() => {
+    checkoutRef.current = { stripe, elements };
+  }, [stripe, elements]);
+
+  useEffect(() => {
+    if (elements && fiatAmount > 0) {
+      elements.update({ amount: toMinorUnits(fiatAmount), currency: fiatCurrency.toLowerCase() });
+    }
+  }, [elements, fiatAmount, fiatCurrency]);
+
+  return (
+    <div>
+      <label className="block text-sm font-medium text-gray-700 mb-2">
+        Payment Method
+      </label>
+      <PaymentElement options={{ layout: 'tabs' }} />
+    </div>
+  );
+};
+
+// Failure copy per PaymentIntent status. Everything except `canceled` can be
+// retried on the same intent with another payment method.
+const FAILURE_MESSAGES = {
+  requires_payment_method: 'Your payment was declined. Please try again or use a different payment method.',
+  requires_action: 'Authentication was not completed. Please try again or use a different payment method.',
+  canceled: 'This payment was canceled. Please start a new payment.',
+};
+
+const stripeProvider = {
+  id: 'stripe',
+  name: 'Card or wallet via Stripe',
+  description: 'Card, Apple Pay, Google Pay or Link. We convert to USDT at a guaranteed rate.',
+  icon: '💳',
+  defaultAmount: DEFAULT_AMOUNT,
+  resumable: false,
+
+  testMode: false,
+  footnote: 'Secure payment powered by Stripe. Your USDT will be sent within minutes.',
+  notes: [],
+
+  isConfigured: () => !!stripePublicKey,
+  missingConfig: 'VITE_STRIPE_PUBLIC_KEY',
+
+  getLimits: (fiatCurrency) => getFiatLimits(fiatCurrency, 'stripe'),
+  // Conversion happens on Binance and is only paid out on TRC20
+  getAssets: () => ['USDT'],
+  getNetworks: () => ['tron'],
+
+  Wrapper: StripeWrapper,
+  CheckoutFields: StripeCheckoutFields,
+
+  // Quotes are locked server-side until expiresAt; the PaymentIntent is
+  // created against the quoteId, so the user gets exactly what was shown
+  getQuote: async ({ fiatAmount, fiatCurrency, promoCode }, config) => {
+    const response = await paymentAPI.lockConversionQuote({ amount: fiatAmount, currency: fiatCurrency, promoCode }, config);
+    const { quote } = response.data;
+
+    return {
+      quoteId: quote.quoteId,
+      expiresAt: quote.expiresAt,
+      fiatAmount,
+      fiatCurrency,
+      cryptoAmount: quote.usdtAmount,
+      cryptoCurrency: 'USDT',
+      conversionPrice: quote.exchangeRate,
+      processingFee: quote.conversionFee,
+      totalFee: quote.conversionFee,
+      feePercentage: quote.feePercentage,
+      tierName: quote.tierName,
+      guaranteed: true,
+    };
+  },
+
+  createOrder: async ({ fiatAmount, fiatCurrency, walletAddress, network, paymentRequestId, promoCode, quoteId, metadata, idempotencyKey }) => {
+    // Create payment intent for the locked quote (rejected with
+    // QUOTE_EXPIRED once the lock has run out)
+    const response = await paymentAPI.createPaymentIntent({
+      fiatAmount,
+      walletAddress,
+      currency: fiatCurrency,
+      cryptoCurrency: 'USDT',
+      network: getNetworkLabel(network),
+      paymentRequestId,
+      promoCode,
+      quoteId,
+      metadata
+    }, idempotencyKey);
+
+    const { clientSecret, transaction, duplicate } = response.data;
+    return { orderId: transaction._id, clientSecret, duplicate: !!duplicate };
+  },
+
+  // Validates the Payment Element (and opens the wallet sheet) before any
+  // order is created or retried
+  validateCheckout: async (checkout) => {
+    if (!checkout?.stripe || !checkout?.elements) {
+      return 'Stripe is still loading. Please try again.';
+    }
+
+    const { error } = await checkout.elements.submit();
+    return error?.message || null;
+  },
+
+  launchCheckout: async (order, { user, checkout, onEvent }) => {
+    const { orderId } = order;
+    const emit = (type, extra = {}) => onEvent({ type, orderId, ...extra });
+    const fail = (message, data, retryable = true) => emit(PROVIDER_EVENTS.FAILED, { message, data, retryable });
+
+    if (!checkout?.stripe || !checkout?.elements) {
+      fail('Stripe is still loading. Please try again.');
+      return { close: () => {} };
+    }
+
+    const { stripe, elements } = checkout;
+
+    // Confirm payment. Methods that need a redirect (some wallets and banks)
+    // come back to the transaction page, which shows the outcome.
+    let { error, paymentIntent } = await stripe.confirmPayment({
+      elements,
+      clientSecret: order.clientSecret,
+      confirmParams: {
+        return_url: `${window.location.origin}/transaction/${orderId}`,
+        payment_method_data: {
+          billing_details: {
+            email: user.email,
+            name: user.fullName,
+          },
+        },
+      },
+      redirect: 'if_required',
+    });
+
+    // A 3DS challenge dismissed mid-way leaves the intent waiting for action
+    if (!error && paymentIntent?.status === 'requires_action') {
+      ({ error, paymentIntent } = await stripe.handleNextAction({ clientSecret: order.clientSecret }));
+    }
+
+    if (error) {
+      // Declines and validation errors leave the intent reusable; a canceled
+      // intent can't be confirmed again
+      const canceled = error.payment_intent?.status === 'canceled';
+      fail(canceled ? FAILURE_MESSAGES.canceled : error.message, error, !canceled);
+      return { close: () => {} };
+    }
+
+    switch (paymentIntent.status) {
+      case 'succeeded':
+        emit(PROVIDER_EVENTS.COMPLETED, { message: 'Payment successful! Converting to USDT...', data: paymentIntent });
+        break;
+      case 'processing':
+      case 'requires_capture':
+        emit(PROVIDER_EVENTS.PROCESSING, {
+          message: "Your payment is processing. We'll update this page once it's confirmed.",
+          data: paymentIntent,
+        });
+        break;
+      case 'canceled':
+        fail(FAILURE_MESSAGES.canceled, paymentIntent, false);
+        break;
+      default:
+        // requires_payment_method, requires_action, requires_confirmation
+        fail(
+          paymentIntent.last_payment_error?.message
+            || FAILURE_MESSAGES[paymentIntent.status]
+            || FAILURE_MESSAGES.requires_payment_method,
+          paymentIntent
+        );
+        break;
+    }
+
+    return { close: () => {} };
+  },
+};
+
+export default stripeProvider;
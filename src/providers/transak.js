@@ -0,0 +1,276 @@
+import transakSDK from '@transak/transak-sdk';
+import { paymentAPI } from '../services/api';
+import orderReconciliation from '../services/orderReconciliation';
+import { getFiatLimits } from '../utils/currencies';
+import { CRYPTO_ASSETS, getAssetNetworks } from '../utils/assets';
+import { PROVIDER_EVENTS } from './events';
+
+/**
+ * Transak On-Ramp provider
+ *
+ * Users buy stablecoins (USDT, USDC, DAI) directly with their card; Transak
+ * handles KYC and sends the crypto straight to the user's wallet.
+ *
+ * Business Model Change:
+ * - OLD: User pays → You take 10% fee → Send USDT via Binance
+ * - NEW: User buys USDT directly → Transak takes 3-5% fee → You earn 1-2% commission
+ *
+ * Flow:
+ * 1. createOrder() stores an `initiated` order in our backend
+ * 2. launchCheckout() opens the Transak widget (embedded iframe) with that
+ *    order ID as partnerOrderId
+ * 3. User completes KYC and payment in the widget
+ * 4. Widget events update our backend and are re-emitted as provider events
+ * 5. Our backend also receives Transak's webhook notification
+ * 6. If widget events or their status updates get lost, orderReconciliation
+ *    retries the updates and polls the order until it settles
+ *
+ * Selling (off-ramp) follows the same flow with createSellOrder() and
+ * launchSellCheckout(): the widget opens in SELL mode, the user sends crypto
+ * to Transak's deposit address and the fiat is paid out to their card or
+ * bank account.
+ */
+
+// Get Transak API key from environment
+const transakApiKey = import.meta.env.VITE_TRANSAK_API_KEY;
+const transakEnvironment = import.meta.env.VITE_TRANSAK_ENVIRONMENT || 'STAGING'; // STAGING or PRODUCTION
+
+const transakProvider = {
+  id: 'transak',
+  name: 'Transak',
+  description: 'Card, Apple Pay or Google Pay. Crypto is sent straight to your wallet.',
+  icon: '🌐',
+  defaultAmount: 100,
+
+  // Widget can be reopened for the same partnerOrderId after a reload
+  resumable: true,
+
+  testMode: transakEnvironment === 'STAGING',
+  footnote: 'Secure payment powered by Transak. KYC verification required for first purchase.',
+  notes: [
+    'Crypto sent directly to your wallet (not held by us)',
+    'Transaction typically completes in 5-30 minutes',
+    'Supported payment methods: Credit/Debit cards, Apple Pay, Google Pay',
+    'First-time users will need to complete KYC verification',
+  ],
+
+  isConfigured: () => !!transakApiKey,
+  missingConfig: 'VITE_TRANSAK_API_KEY',
+
+  getLimits: (fiatCurrency) => getFiatLimits(fiatCurrency, 'transak'),
+  getAssets: () => Object.keys(CRYPTO_ASSETS),
+  getNetworks: (asset) => getAssetNetworks(asset),
+
+  getQuote: async (params, config) => {
+    const response = await paymentAPI.getTransakQuote(params, config);
+    return response.data.quote;
+  },
+
+  createOrder: async ({ user, fiatAmount, fiatCurrency, cryptoCurrency, walletAddress, network, paymentRequestId, promoCode, metadata, idempotencyKey }) => {
+    // Create transaction record in your database
+    const response = await paymentAPI.createTransakOrder({
+      provider: 'transak',
+      fiatAmount,
+      fiatCurrency,
+      cryptoCurrency,
+      walletAddress,
+      network,
+      paymentRequestId,
+      promoCode,
+      metadata,
+      userId: user._id,
+      status: 'initiated'
+    }, idempotencyKey);
+
+    return { orderId: response.data.orderId, duplicate: !!response.data.duplicate };
+  },
+
+  getOrderStatus: async (orderId) => {
+    const response = await paymentAPI.getTransakOrder(orderId);
+    return response.data.transaction?.status;
+  },
+
+  cancelOrder: (orderId, reason) => {
+    return paymentAPI.updateTransakOrderStatus(orderId, {
+      status: 'cancelled',
+      error: reason,
+    });
+  },
+
+  launchCheckout: (order, { user, onEvent }) => {
+    return openWidget(order.orderId, {
+      // Pre-fill user information
+      defaultCryptoCurrency: order.cryptoCurrency,
+      defaultFiatAmount: order.fiatAmount,
+      fiatCurrency: order.fiatCurrency,
+
+      // User's wallet
+      walletAddress: order.walletAddress,
+
+      // Network selection
+      networks: order.network, // 'tron', 'ethereum', 'polygon', etc.
+
+      // User data (optional - helps with KYC)
+      email: user.email,
+
+      disableWalletAddressForm: true, // Lock wallet address
+    }, {
+      onEvent,
+      successStatus: 'completed',
+      successEvent: PROVIDER_EVENTS.COMPLETED,
+      messages: {
+        opened: 'Complete your purchase in the Transak window',
+        successful: `${order.cryptoCurrency} purchase successful! Check your wallet in a few minutes.`,
+        failed: 'Purchase failed. Please try again.',
+        cancelled: 'Purchase cancelled',
+      },
+    });
+  },
+
+  // Off-ramp: the user sends crypto to Transak and receives fiat
+  createSellOrder: async ({ user, cryptoAmount, cryptoCurrency, network, fiatCurrency, payoutMethod, idempotencyKey }) => {
+    const response = await paymentAPI.createTransakSellOrder({
+      provider: 'transak',
+      type: 'sell',
+      cryptoAmount,
+      cryptoCurrency,
+      network,
+      fiatCurrency,
+      payoutMethod,
+      userId: user._id,
+      status: 'initiated'
+    }, idempotencyKey);
+
+    return { orderId: response.data.orderId, duplicate: !!response.data.duplicate };
+  },
+
+  launchSellCheckout: (order, { user, onEvent }) => {
+    return openWidget(order.orderId, {
+      productsAvailed: 'SELL',
+      cryptoCurrencyCode: order.cryptoCurrency,
+      defaultCryptoAmount: order.cryptoAmount,
+      network: order.network,
+      fiatCurrency: order.fiatCurrency,
+      paymentMethod: order.payoutMethod,
+      email: user.email,
+    }, {
+      onEvent,
+      // Transak returns the deposit address once the sell order exists
+      createdStatus: 'awaiting_deposit',
+      // Widget success means Transak has the crypto; the payout follows
+      // and is reported by webhook
+      successStatus: 'crypto_received',
+      successEvent: PROVIDER_EVENTS.PROCESSING,
+      messages: {
+        opened: 'Complete your sale in the Transak window',
+        successful: `${order.cryptoCurrency} received. Your payout is on its way.`,
+        failed: 'Sale failed. Please try again.',
+        cancelled: 'Sale cancelled',
+      },
+    });
+  },
+};
+
+/**
+ * Opens the Transak widget for one of our orders and mirrors its order
+ * events to the backend and to `onEvent`. Buy and sell differ only in the
+ * widget config, the status recorded on success and the copy.
+ */
+const openWidget = (orderId, widgetConfig, { onEvent, createdStatus, successStatus, successEvent, messages }) => {
+  const emit = (type, extra = {}) => onEvent({ type, orderId, ...extra });
+
+  // Initialize Transak widget
+  const transak = new transakSDK({
+    apiKey: transakApiKey,
+    environment: transakEnvironment,
+
+    ...widgetConfig,
+
+    // Customization
+    themeColor: '6366f1', // Primary color (indigo-600)
+    hostURL: window.location.origin,
+    widgetHeight: '700px',
+    widgetWidth: '100%',
+
+    // Your partner order ID (for tracking)
+    partnerOrderId: orderId,
+
+    // Hide certain options
+    hideMenu: true,
+  });
+
+  // Event listeners
+  transak.on(transakSDK.EVENTS.TRANSAK_WIDGET_INITIALISED, () => {
+    console.log('✅ Transak widget initialized');
+  });
+
+  transak.on(transakSDK.EVENTS.TRANSAK_WIDGET_OPEN, () => {
+    console.log('✅ Transak widget opened');
+    // From here on the order can change on Transak's side without us hearing about it
+    orderReconciliation.watch(orderId);
+    emit(PROVIDER_EVENTS.OPENED, { message: messages.opened });
+  });
+
+  // Closing without an order event keeps the pending order resumable
+  transak.on(transakSDK.EVENTS.TRANSAK_WIDGET_CLOSE, () => {
+    console.log('❌ Transak widget closed');
+    emit(PROVIDER_EVENTS.CLOSED);
+  });
+
+  if (createdStatus) {
+    transak.on(transakSDK.EVENTS.TRANSAK_ORDER_CREATED, (orderData) => {
+      console.log('📝 Order created:', orderData);
+
+      orderReconciliation.reportStatus(orderId, {
+        status: createdStatus,
+        transakOrderId: orderData.status?.id,
+        transakData: orderData
+      });
+    });
+  }
+
+  transak.on(transakSDK.EVENTS.TRANSAK_ORDER_SUCCESSFUL, (orderData) => {
+    console.log('✅ Order successful:', orderData);
+
+    // Update transaction status (queued for retry if it fails)
+    orderReconciliation.reportStatus(orderId, {
+      status: successStatus,
+      transakOrderId: orderData.status.id,
+      transakData: orderData
+    });
+
+    emit(successEvent, { message: messages.successful, data: orderData });
+  });
+
+  transak.on(transakSDK.EVENTS.TRANSAK_ORDER_FAILED, (orderData) => {
+    console.error('❌ Order failed:', orderData);
+
+    // Update transaction status (queued for retry if it fails)
+    orderReconciliation.reportStatus(orderId, {
+      status: 'failed',
+      transakOrderId: orderData.status.id,
+      error: orderData.status.statusMessage || 'Order failed'
+    });
+
+    emit(PROVIDER_EVENTS.FAILED, { message: messages.failed, data: orderData });
+  });
+
+  transak.on(transakSDK.EVENTS.TRANSAK_ORDER_CANCELLED, (orderData) => {
+    console.log('❌ Order cancelled:', orderData);
+
+    // Update transaction status (queued for retry if it fails)
+    orderReconciliation.reportStatus(orderId, {
+      status: 'cancelled',
+      transakOrderId: orderData.status?.id
+    });
+
+    emit(PROVIDER_EVENTS.CANCELLED, { message: messages.cancelled, data: orderData });
+  });
+
+  // Initialize the widget
+  transak.init();
+
+  return { close: () => transak.close() };
+};
+
+export default transakProvider;
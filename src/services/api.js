@@ -1,7 +1,12 @@
 import axios from 'axios';
 import { toast } from 'react-toastify';
+import { getStubTransakQuote } from './transakQuoteStub';
+import { getStubNetworkFees } from './networkFeeStub';
+import { IDEMPOTENCY_HEADER, createIdempotencyKey, withIdempotencyKey } from '../utils/idempotency';
 
 const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000/api';
+const useTransakQuoteStub = import.meta.env.VITE_TRANSAK_QUOTE_STUB === 'true';
+const useNetworkFeesStub = import.meta.env.VITE_NETWORK_FEES_STUB === 'true';
 
 // Track request start time for slow backend warnings
 let requestStartTime = null;
@@ -25,6 +30,13 @@ api.interceptors.request.use(
       config.headers.Authorization = `Bearer ${token}`;
     }
 
+    // Every mutating payment call carries an idempotency key. It is set once
+    // on the config, so the timeout retry below re-sends the same key.
+    const isMutation = ['post', 'put', 'patch', 'delete'].includes(config.method);
+    if (isMutation && config.url.startsWith('/payments') && !config.headers[IDEMPOTENCY_HEADER]) {
+      config.headers[IDEMPOTENCY_HEADER] = createIdempotencyKey();
+    }
+
     // Track request start time
     config.metadata = { startTime: new Date() };
     requestStartTime = Date.now();
@@ -69,6 +81,14 @@ api.interceptors.response.use(
     requestStartTime = null;
     toast.dismiss('slow-request');
 
+    // Request aborted by the caller (e.g. a superseded quote) - not an error
+    if (axios.isCancel(error)) {
+      return Promise.reject({
+        message: 'Request cancelled',
+        isCancelled: true
+      });
+    }
+
     // Detailed error logging
     if (error.code === 'ECONNABORTED') {
       console.error('⏱️ REQUEST TIMEOUT:', {
@@ -146,19 +166,73 @@ export const authAPI = {
   resendVerification: (data) => api.post('/auth/resend-verification', data),
   getMe: () => api.get('/auth/me'),
   updateProfile: (data) => api.put('/auth/profile', data),
+
+  // Saved wallet address book
+  getAddresses: (params) => api.get('/auth/addresses', { params }),
+  createAddress: (data) => api.post('/auth/addresses', data),
+  updateAddress: (id, data) => api.put(`/auth/addresses/${id}`, data),
+  deleteAddress: (id) => api.delete(`/auth/addresses/${id}`),
+  setDefaultAddress: (id) => api.patch(`/auth/addresses/${id}/default`),
+
+  // Verification tier and remaining purchase limits, in params.currency
+  // ({ tier, periods, nextTier } - see src/utils/limits.js)
+  getLimits: (params) => api.get('/auth/limits', { params }),
   logout: () => api.post('/auth/logout'),
 };
 
 // Payment API
+// Create calls take an optional idempotency key (see utils/idempotency) so a
+// re-submitted form reuses it; a replayed response has `data.duplicate: true`
 export const paymentAPI = {
+  // Enabled payment providers ({ providers: [{ id, enabled }], defaultProvider })
+  getProviderConfig: () => api.get('/payments/providers'),
+
   // Stripe endpoints (legacy)
-  getConversionRate: (amount) => api.get('/payments/conversion-rate', { params: { amount } }),
-  createPaymentIntent: (data) => api.post('/payments/create-intent', data),
+  getConversionRate: (amount, currency = 'USD') => api.get('/payments/conversion-rate', { params: { amount, currency } }),
+  // Locked quote ({ quoteId, expiresAt, ... }); create-intent accepts the
+  // quoteId and charges exactly that quote. config.signal cancels it.
+  lockConversionQuote: (data, config = {}) => api.post('/payments/quotes', data, config),
+  createPaymentIntent: (data, idempotencyKey) => api.post('/payments/create-intent', data, withIdempotencyKey(idempotencyKey)),
+
+  // Promo / referral code for a purchase ({ promo }, see src/utils/promoCodes.js);
+  // rejects with code PROMO_EXPIRED, PROMO_USED_UP, PROMO_INELIGIBLE, ...
+  validatePromoCode: (code, params, config = {}) => api.get(`/payments/promo-codes/${encodeURIComponent(code)}`, { params, ...config }),
 
   // Transak endpoints (on-ramp)
-  createTransakOrder: (data) => api.post('/payments/transak/create-order', data),
+  createTransakOrder: (data, idempotencyKey) => api.post('/payments/transak/create-order', data, withIdempotencyKey(idempotencyKey)),
   updateTransakOrderStatus: (orderId, data) => api.patch(`/payments/transak/order/${orderId}`, data),
   getTransakOrder: (orderId) => api.get(`/payments/transak/order/${orderId}`),
+  // Live price quote (backend proxies Transak's pricing API)
+  // config.signal lets callers cancel superseded quotes
+  getTransakQuote: (params, config = {}) => useTransakQuoteStub
+    ? getStubTransakQuote(params, config)
+    : api.get('/payments/transak/quote', { params, ...config }),
+
+  // Per-network fee estimates for one amount, so the buyer can compare networks
+  // ({ fees: [{ network, networkFee, cryptoAmount, arrivalMinutes: { min, max } }] })
+  // params.networks is a comma-separated list of network keys
+  getNetworkFees: (params, config = {}) => useNetworkFeesStub
+    ? getStubNetworkFees(params, config)
+    : api.get('/payments/network-fees', { params, ...config }),
+
+  // Transak endpoints (off-ramp) - status updates share the order endpoint above
+  createTransakSellOrder: (data, idempotencyKey) => api.post('/payments/transak/sell/create-order', data, withIdempotencyKey(idempotencyKey)),
+
+  // Recurring purchase plans (dollar-cost averaging)
+  getSchedules: (params) => api.get('/payments/schedules', { params }),
+  getSchedule: (id) => api.get(`/payments/schedules/${id}`),
+  createSchedule: (data, idempotencyKey) => api.post('/payments/schedules', data, withIdempotencyKey(idempotencyKey)),
+  updateSchedule: (id, data) => api.put(`/payments/schedules/${id}`, data),
+  pauseSchedule: (id) => api.post(`/payments/schedules/${id}/pause`),
+  resumeSchedule: (id) => api.post(`/payments/schedules/${id}/resume`),
+  cancelSchedule: (id) => api.post(`/payments/schedules/${id}/cancel`),
+
+  // Shareable payment requests (someone else funds the creator's wallet)
+  getPaymentRequests: (params) => api.get('/payments/requests', { params }),
+  createPaymentRequest: (data, idempotencyKey) => api.post('/payments/requests', data, withIdempotencyKey(idempotencyKey)),
+  revokePaymentRequest: (id) => api.post(`/payments/requests/${id}/revoke`),
+  // Payer view, looked up by the token in the shared link
+  getPaymentRequestByToken: (token) => api.get(`/payments/requests/token/${token}`),
 };
 
 // Transaction API
@@ -166,6 +240,32 @@ export const transactionAPI = {
   getTransactions: (params) => api.get('/transactions', { params }),
   getTransaction: (id) => api.get(`/transactions/${id}`),
   getStatistics: () => api.get('/transactions/statistics'),
+  // On-chain confirmations of the delivery transfer ({ confirmations, required })
+  getConfirmations: (id) => api.get(`/transactions/${id}/confirmations`),
+  // Distinct destination addresses of the user's past transactions ({ addresses: [...] })
+  getUsedAddresses: () => api.get('/transactions/addresses'),
+};
+
+// Referral API
+export const referralAPI = {
+  // Code, summary, invited users (anonymised) and their rewards
+  getReferrals: () => api.get('/referrals'),
+  // Code and summary only, for the dashboard widget
+  getReferralSummary: () => api.get('/referrals/summary'),
+};
+
+// Support API
+// Tickets and replies are multipart (text fields + optional screenshots)
+const multipart = { headers: { 'Content-Type': 'multipart/form-data' } };
+
+export const supportAPI = {
+  // params.transactionId and params.status (comma-separated) filter the list
+  getTickets: (params) => api.get('/support/tickets', { params }),
+  getTicket: (id) => api.get(`/support/tickets/${id}`),
+  // transactionId, subject, description, context (JSON), screenshots[]
+  createTicket: (formData) => api.post('/support/tickets', formData, multipart),
+  // body, screenshots[]
+  replyToTicket: (id, formData) => api.post(`/support/tickets/${id}/messages`, formData, multipart),
 };
 
 export default api;
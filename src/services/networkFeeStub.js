@@ -0,0 +1,55 @@
+// Local stand-in for the backend network fee endpoint.
+// Enabled with VITE_NETWORK_FEES_STUB=true so the network comparison panel can
+// be exercised without a backend. Uses the same numbers as the quote stub.
+import {
+  NETWORK_FEES,
+  PROCESSING_FEE_PERCENT,
+  MIN_PROCESSING_FEE,
+  CONVERSION_PRICE,
+} from './transakQuoteStub';
+
+// Typical time from payment to the stablecoin landing in the wallet
+const ARRIVAL_MINUTES = {
+  tron: { min: 1, max: 3 },
+  ethereum: { min: 2, max: 10 },
+  polygon: { min: 1, max: 5 },
+  bsc: { min: 1, max: 3 },
+};
+
+const LATENCY_MS = 300;
+
+export const getStubNetworkFees = (params, { signal } = {}) => {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      const fiatAmount = Number(params.fiatAmount) || 0;
+      const processingFee = Math.max(fiatAmount * PROCESSING_FEE_PERCENT, MIN_PROCESSING_FEE);
+      const networks = String(params.networks || '').split(',').filter(Boolean);
+
+      resolve({
+        success: true,
+        data: {
+          fiatAmount,
+          fiatCurrency: params.fiatCurrency || 'USD',
+          cryptoCurrency: params.cryptoCurrency || 'USDT',
+          fees: networks.map((network) => {
+            const networkFee = NETWORK_FEES[network] ?? 1.0;
+            const cryptoAmount = Math.max((fiatAmount - processingFee - networkFee) * CONVERSION_PRICE, 0);
+
+            return {
+              network,
+              networkFee: Number(networkFee.toFixed(2)),
+              processingFee: Number(processingFee.toFixed(2)),
+              cryptoAmount: Number(cryptoAmount.toFixed(2)),
+              arrivalMinutes: ARRIVAL_MINUTES[network] || { min: 1, max: 10 },
+            };
+          }),
+        },
+      });
+    }, LATENCY_MS);
+
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      reject({ message: 'Request cancelled', isCancelled: true });
+    });
+  });
+};
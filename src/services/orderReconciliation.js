@@ -0,0 +1,258 @@
+import { paymentAPI } from './api';
+import { isTerminalStatus } from '../utils/transactionStatuses';
+
+// Keeps our backend in step with Transak when widget events go missing
+// (tab closed, network dropped, widget crashed):
+//
+// - Status updates from widget events are awaited; failed ones go into a
+//   persistent queue (localStorage) and are retried with backoff, also
+//   after a reload and as soon as the browser comes back online
+// - Orders opened in the widget are watched: getTransakOrder is polled with
+//   backoff until the order reaches a terminal status. The backend checks
+//   Transak for non-terminal orders when they are fetched, so polling is
+//   what settles an order whose final widget event never arrived.
+//
+// Entries are stored per user; only the signed-in user's are processed.
+const QUEUE_KEY = 'transakStatusQueue';
+const WATCH_KEY = 'transakWatchedOrders';
+
+const RETRY_BASE_MS = 2000;
+const RETRY_MAX_MS = 5 * 60 * 1000;
+const MAX_RETRY_ATTEMPTS = 10;
+
+const POLL_BASE_MS = 5000;
+const POLL_MAX_MS = 5 * 60 * 1000;
+const WATCH_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+
+const backoff = (base, attempt, max) => Math.min(base * 2 ** attempt, max);
+
+const readList = (key) => {
+  try {
+    return JSON.parse(localStorage.getItem(key)) || [];
+  } catch (error) {
+    return [];
+  }
+};
+
+const writeList = (key, list) => {
+  if (list.length) {
+    localStorage.setItem(key, JSON.stringify(list));
+  } else {
+    localStorage.removeItem(key);
+  }
+};
+
+class OrderReconciliationService {
+  constructor() {
+    this.userId = null;
+    this.pollTimers = new Map();
+    this.flushTimer = null;
+    this.flushing = false;
+    this.listeners = new Set();
+    this.handleOnline = () => this.flushQueue(true);
+  }
+
+  start(userId) {
+    if (this.userId === userId) return;
+    this.stop();
+
+    this.userId = userId;
+    window.addEventListener('online', this.handleOnline);
+
+    this.flushQueue();
+    this.getWatched().forEach((entry) => this.schedulePoll(entry.orderId, 0, 0));
+  }
+
+  stop() {
+    this.userId = null;
+    window.removeEventListener('online', this.handleOnline);
+
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+    this.pollTimers.forEach((timer) => clearTimeout(timer));
+    this.pollTimers.clear();
+  }
+
+  // Listener gets { orderId, transaction, checkedAt } after each poll and
+  // { orderId, syncPending } when the order's queued update changes
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notify(update) {
+    this.listeners.forEach((listener) => listener(update));
+  }
+
+  // ---- Status update queue ----
+
+  getQueue() {
+    return readList(QUEUE_KEY).filter((entry) => entry.userId === this.userId);
+  }
+
+  saveQueue(entries) {
+    const others = readList(QUEUE_KEY).filter((entry) => entry.userId !== this.userId);
+    writeList(QUEUE_KEY, [...others, ...entries]);
+  }
+
+  hasPendingUpdate(orderId) {
+    return this.getQueue().some((entry) => entry.orderId === orderId);
+  }
+
+  /**
+   * Send a widget status update to the backend. Resolves to true once it is
+   * stored; on failure it is queued for retry and this resolves to false.
+   */
+  async reportStatus(orderId, data) {
+    // An older update is still queued - send them together, in order
+    if (this.hasPendingUpdate(orderId)) {
+      this.enqueue(orderId, data);
+      this.flushQueue(true);
+      return false;
+    }
+
+    try {
+      await paymentAPI.updateTransakOrderStatus(orderId, data);
+      return true;
+    } catch (error) {
+      console.error(`⚠️ Status update for ${orderId} failed, queued for retry:`, error);
+      this.enqueue(orderId, data);
+      this.scheduleFlush();
+      return false;
+    }
+  }
+
+  // One entry per order; a later update supersedes the fields of an earlier one
+  enqueue(orderId, data) {
+    const queue = this.getQueue();
+    const existing = queue.find((entry) => entry.orderId === orderId);
+    const entry = {
+      orderId,
+      userId: this.userId,
+      data: { ...existing?.data, ...data },
+      attempts: 0,
+      nextAttemptAt: Date.now() + RETRY_BASE_MS,
+    };
+
+    this.saveQueue([...queue.filter((item) => item.orderId !== orderId), entry]);
+    this.notify({ orderId, syncPending: true });
+  }
+
+  // Sends due entries (all of them with `force`, e.g. when back online)
+  async flushQueue(force = false) {
+    if (this.flushing || !this.userId) return;
+    this.flushing = true;
+
+    try {
+      for (const entry of this.getQueue()) {
+        if (!force && entry.nextAttemptAt > Date.now()) continue;
+
+        try {
+          await paymentAPI.updateTransakOrderStatus(entry.orderId, entry.data);
+          this.removeFromQueue(entry.orderId);
+          this.notify({ orderId: entry.orderId, syncPending: false });
+        } catch (error) {
+          const attempts = entry.attempts + 1;
+
+          if (attempts >= MAX_RETRY_ATTEMPTS) {
+            console.error(`❌ Giving up on status update for ${entry.orderId}:`, error);
+            this.removeFromQueue(entry.orderId);
+            this.notify({ orderId: entry.orderId, syncPending: false });
+            continue;
+          }
+
+          this.saveQueue(this.getQueue().map((item) => (
+            item.orderId === entry.orderId
+              ? { ...item, attempts, nextAttemptAt: Date.now() + backoff(RETRY_BASE_MS, attempts, RETRY_MAX_MS) }
+              : item
+          )));
+        }
+      }
+    } finally {
+      this.flushing = false;
+      this.scheduleFlush();
+    }
+  }
+
+  removeFromQueue(orderId) {
+    this.saveQueue(this.getQueue().filter((entry) => entry.orderId !== orderId));
+  }
+
+  scheduleFlush() {
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+
+    const queue = this.getQueue();
+    if (!this.userId || !queue.length) return;
+
+    const nextAttemptAt = Math.min(...queue.map((entry) => entry.nextAttemptAt));
+    this.flushTimer = setTimeout(() => this.flushQueue(), Math.max(nextAttemptAt - Date.now(), 0));
+  }
+
+  // ---- Order polling ----
+
+  getWatched() {
+    return readList(WATCH_KEY).filter((entry) => entry.userId === this.userId);
+  }
+
+  isWatching(orderId) {
+    return this.pollTimers.has(orderId);
+  }
+
+  // Poll the order until it settles. Safe to call repeatedly for one order.
+  watch(orderId) {
+    if (!this.userId) return;
+
+    if (!this.getWatched().some((entry) => entry.orderId === orderId)) {
+      writeList(WATCH_KEY, [...readList(WATCH_KEY), { orderId, userId: this.userId, since: Date.now() }]);
+    }
+
+    if (!this.isWatching(orderId)) {
+      this.schedulePoll(orderId, 0, POLL_BASE_MS);
+    }
+  }
+
+  unwatch(orderId) {
+    clearTimeout(this.pollTimers.get(orderId));
+    this.pollTimers.delete(orderId);
+    writeList(WATCH_KEY, readList(WATCH_KEY).filter((entry) => entry.orderId !== orderId));
+  }
+
+  schedulePoll(orderId, attempt, delay) {
+    clearTimeout(this.pollTimers.get(orderId));
+    this.pollTimers.set(orderId, setTimeout(() => this.poll(orderId, attempt), delay));
+  }
+
+  async poll(orderId, attempt) {
+    const entry = this.getWatched().find((item) => item.orderId === orderId);
+    if (!entry || Date.now() - entry.since > WATCH_MAX_AGE_MS) {
+      this.unwatch(orderId);
+      return;
+    }
+
+    try {
+      const response = await paymentAPI.getTransakOrder(orderId);
+      const transaction = response.data.transaction;
+
+      this.notify({ orderId, transaction, checkedAt: new Date().toISOString() });
+
+      // Our own queued update still has to land before the order is settled here
+      if (isTerminalStatus(transaction?.status) && !this.hasPendingUpdate(orderId)) {
+        this.unwatch(orderId);
+        return;
+      }
+    } catch (error) {
+      console.error(`Failed to reconcile order ${orderId}:`, error);
+    }
+
+    // stop() may have run while the request was in flight
+    if (this.userId === entry.userId) {
+      this.schedulePoll(orderId, attempt + 1, backoff(POLL_BASE_MS, attempt + 1, POLL_MAX_MS));
+    }
+  }
+}
+
+// Singleton instance
+const orderReconciliation = new OrderReconciliationService();
+
+export default orderReconciliation;
@@ -0,0 +1,52 @@
+// Local stand-in for the backend Transak quote proxy.
+// Enabled with VITE_TRANSAK_QUOTE_STUB=true so the quote UI can be exercised
+// without a backend or Transak credentials. Numbers are plausible, not real.
+
+// Shared with networkFeeStub.js so fee estimates and quotes agree
+export const NETWORK_FEES = {
+  tron: 1.0,
+  ethereum: 8.5,
+  polygon: 0.1,
+  bsc: 0.3,
+};
+
+export const PROCESSING_FEE_PERCENT = 0.0199;
+export const MIN_PROCESSING_FEE = 1.99;
+export const CONVERSION_PRICE = 0.9995; // crypto per 1 unit of fiat
+const QUOTE_TTL_MS = 30000;
+const LATENCY_MS = 400;
+
+export const getStubTransakQuote = (params, { signal } = {}) => {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      const fiatAmount = Number(params.fiatAmount) || 0;
+      const networkFee = NETWORK_FEES[params.network] ?? 1.0;
+      const processingFee = Math.max(fiatAmount * PROCESSING_FEE_PERCENT, MIN_PROCESSING_FEE);
+      const totalFee = networkFee + processingFee;
+      const cryptoAmount = Math.max((fiatAmount - totalFee) * CONVERSION_PRICE, 0);
+
+      resolve({
+        success: true,
+        data: {
+          quote: {
+            fiatAmount,
+            fiatCurrency: params.fiatCurrency || 'USD',
+            cryptoAmount: Number(cryptoAmount.toFixed(2)),
+            cryptoCurrency: params.cryptoCurrency || 'USDT',
+            network: params.network,
+            conversionPrice: CONVERSION_PRICE,
+            networkFee: Number(networkFee.toFixed(2)),
+            processingFee: Number(processingFee.toFixed(2)),
+            totalFee: Number(totalFee.toFixed(2)),
+            expiresAt: new Date(Date.now() + QUOTE_TTL_MS).toISOString(),
+          },
+        },
+      });
+    }, LATENCY_MS);
+
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      reject({ message: 'Request cancelled', isCancelled: true });
+    });
+  });
+};
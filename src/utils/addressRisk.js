@@ -0,0 +1,108 @@
+import { detectAddressFamily } from './addressValidation';
+
+/**
+ * Destination address risk checks
+ *
+ * Clipboard hijackers swap a copied address for one of their own, and
+ * "address poisoning" plants look-alikes (same first and last characters) in
+ * the user's history. Neither is caught by checksum validation, so before
+ * paying we also flag:
+ * - blocklisted: on the local blocklist below (burn addresses, known scams)
+ * - lookalike:   nearly identical to the profile wallet address, but not it
+ * - new:         never used as a destination in the user's transactions
+ *
+ * assessAddressRisk() returns the list of risks, most severe first.
+ */
+
+// EVM addresses are case-insensitive (case is only the EIP-55 checksum);
+// Base58 Tron addresses are not
+const normalize = (address) => {
+  const value = (address || '').trim();
+  return detectAddressFamily(value) === 'evm' ? value.toLowerCase() : value;
+};
+
+// Extra entries can be supplied at build time via VITE_ADDRESS_BLOCKLIST
+// (comma-separated)
+const BLOCKED_ADDRESSES = [
+  '0x0000000000000000000000000000000000000000', // EVM zero address
+  '0x000000000000000000000000000000000000dead', // EVM burn address
+  'T9yD14Nj9j7xAB4dbGeiX9h8unkKHxuWwb', // Tron black hole
+  ...(import.meta.env.VITE_ADDRESS_BLOCKLIST || '').split(','),
+].map((address) => normalize(address)).filter(Boolean);
+
+// Characters compared at each end - what people glance at
+const LOOKALIKE_EDGE = 4;
+// Same-length addresses differing in at most this many places
+const LOOKALIKE_MAX_DIFF = 4;
+
+export const RISK_TYPES = {
+  blocklisted: {
+    title: 'Blocked address',
+    message: 'This address is on our blocklist. Funds sent here are almost certainly lost.',
+  },
+  lookalike: {
+    title: 'Looks like your saved wallet, but isn\'t',
+    message: 'This address only differs from your profile wallet in a few characters. Clipboard malware and address poisoning produce exactly this - compare every character.',
+  },
+  new: {
+    title: 'New destination',
+    message: 'You have never sent to this address before. Check it against your wallet app before paying.',
+  },
+};
+
+// Body of the address without its family prefix ('0x' / 'T')
+const addressBody = (address) => {
+  const value = normalize(address);
+  return value.startsWith('0x') ? value.slice(2) : value.slice(1);
+};
+
+export const isBlocklisted = (address) => {
+  return BLOCKED_ADDRESSES.includes(normalize(address));
+};
+
+export const isLookAlike = (address, reference) => {
+  if (!address || !reference) return false;
+  if (normalize(address) === normalize(reference)) return false;
+  if (detectAddressFamily(address) !== detectAddressFamily(reference)) return false;
+
+  const a = addressBody(address);
+  const b = addressBody(reference);
+
+  const sameEdges = a.slice(0, LOOKALIKE_EDGE) === b.slice(0, LOOKALIKE_EDGE)
+    && a.slice(-LOOKALIKE_EDGE) === b.slice(-LOOKALIKE_EDGE);
+  if (sameEdges) return true;
+
+  if (a.length !== b.length) return false;
+  const differences = [...a].filter((char, i) => char !== b[i]).length;
+  return differences <= LOOKALIKE_MAX_DIFF;
+};
+
+/**
+ * @param {string} address          destination about to be paid to
+ * @param {object} context
+ * @param {string[]} context.usedAddresses   destinations of past transactions
+ *                                           (null when unknown - skips 'new')
+ * @param {string} context.profileAddress    the user's profile walletAddress
+ * @returns {{ type: string, title: string, message: string }[]}
+ */
+export const assessAddressRisk = (address, { usedAddresses = null, profileAddress = null } = {}) => {
+  if (!address) return [];
+
+  const risks = [];
+
+  if (isBlocklisted(address)) {
+    risks.push('blocklisted');
+  }
+
+  if (isLookAlike(address, profileAddress)) {
+    risks.push('lookalike');
+  }
+
+  const known = normalize(address) === normalize(profileAddress)
+    || usedAddresses?.some((used) => normalize(used) === normalize(address));
+  if (usedAddresses && !known) {
+    risks.push('new');
+  }
+
+  return risks.map((type) => ({ type, ...RISK_TYPES[type] }));
+};
@@ -0,0 +1,158 @@
+import { sha256 } from '@noble/hashes/sha2';
+import { keccak_256 } from '@noble/hashes/sha3';
+import { bytesToHex, utf8ToBytes } from '@noble/hashes/utils';
+import { getNetwork } from './networks';
+
+/**
+ * Wallet address validation
+ *
+ * A typo in a destination address sends funds somewhere they can never be
+ * recovered from, so "starts with T" / "starts with 0x" is not enough:
+ * - TRC20: full Base58Check decode (version byte 0x41 + double-SHA256 checksum)
+ * - ERC20 / Polygon / BEP20: length + hex checks, and EIP-55 mixed-case checksum
+ *
+ * validateAddress() returns { valid, error } where `error` is a short message
+ * meant to be shown inline under the address input.
+ */
+
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+const TRON_ADDRESS_PREFIX = 0x41;
+const TRON_ADDRESS_LENGTH = 34;
+const EVM_ADDRESS_LENGTH = 42;
+
+const CHECKSUM_ERROR = 'Checksum mismatch - check the address for typos';
+
+const base58Decode = (value) => {
+  const bytes = [0];
+
+  for (const char of value) {
+    const digit = BASE58_ALPHABET.indexOf(char);
+    if (digit === -1) return null;
+
+    let carry = digit;
+    for (let i = 0; i < bytes.length; i++) {
+      carry += bytes[i] * 58;
+      bytes[i] = carry & 0xff;
+      carry >>= 8;
+    }
+    while (carry > 0) {
+      bytes.push(carry & 0xff);
+      carry >>= 8;
+    }
+  }
+
+  // Leading '1's encode leading zero bytes
+  for (let i = 0; i < value.length && value[i] === '1'; i++) {
+    bytes.push(0);
+  }
+
+  return Uint8Array.from(bytes.reverse());
+};
+
+export const detectAddressFamily = (address) => {
+  const value = (address || '').trim();
+  if (/^0x/i.test(value)) return 'evm';
+  if (/^T/.test(value)) return 'tron';
+  return null;
+};
+
+export const toChecksumAddress = (address) => {
+  const lower = address.toLowerCase().replace(/^0x/, '');
+  const hash = bytesToHex(keccak_256(utf8ToBytes(lower)));
+
+  let result = '0x';
+  for (let i = 0; i < lower.length; i++) {
+    result += parseInt(hash[i], 16) >= 8 ? lower[i].toUpperCase() : lower[i];
+  }
+  return result;
+};
+
+const validateTronAddress = (address) => {
+  if (!address.startsWith('T')) {
+    return 'TRC20 addresses must start with T';
+  }
+
+  if (address.length !== TRON_ADDRESS_LENGTH) {
+    return `TRC20 addresses are ${TRON_ADDRESS_LENGTH} characters (this one has ${address.length})`;
+  }
+
+  const invalidChar = [...address].find((char) => !BASE58_ALPHABET.includes(char));
+  if (invalidChar) {
+    return `Invalid character "${invalidChar}" - TRC20 addresses never contain 0, O, I or l`;
+  }
+
+  const decoded = base58Decode(address);
+  if (!decoded || decoded.length !== 25 || decoded[0] !== TRON_ADDRESS_PREFIX) {
+    return 'Not a valid Tron mainnet address';
+  }
+
+  const payload = decoded.slice(0, 21);
+  const checksum = sha256(sha256(payload)).slice(0, 4);
+  const matches = checksum.every((byte, i) => byte === decoded[21 + i]);
+
+  return matches ? null : CHECKSUM_ERROR;
+};
+
+const validateEvmAddress = (address, label) => {
+  if (!/^0x/i.test(address)) {
+    return `${label} addresses must start with 0x`;
+  }
+
+  if (address.length !== EVM_ADDRESS_LENGTH) {
+    return `${label} addresses are ${EVM_ADDRESS_LENGTH} characters (this one has ${address.length})`;
+  }
+
+  if (!/^0x[0-9a-fA-F]{40}$/.test(address)) {
+    return 'Address contains non-hexadecimal characters';
+  }
+
+  // All-lowercase / all-uppercase addresses carry no checksum (EIP-55)
+  const body = address.slice(2);
+  if (body === body.toLowerCase() || body === body.toUpperCase()) {
+    return null;
+  }
+
+  return toChecksumAddress(address) === address ? null : CHECKSUM_ERROR;
+};
+
+/**
+ * Validate a wallet address for a network ('tron', 'ethereum', 'polygon', 'bsc'
+ * or a label such as 'TRC20'). When `network` is omitted the format is detected
+ * from the prefix, which is what the optional profile address in Register uses.
+ */
+export const validateAddress = (address, network) => {
+  const value = (address || '').trim();
+
+  if (!value) {
+    return { valid: false, error: 'Please enter your wallet address' };
+  }
+
+  if (/\s/.test(value)) {
+    return { valid: false, error: 'Address must not contain spaces' };
+  }
+
+  const selected = getNetwork(network);
+  const detected = detectAddressFamily(value);
+
+  if (!selected) {
+    if (!detected) {
+      return { valid: false, error: 'Enter a TRC20 (T...) or ERC20/BEP20/Polygon (0x...) address' };
+    }
+    const error = detected === 'tron' ? validateTronAddress(value) : validateEvmAddress(value, 'EVM');
+    return { valid: !error, error };
+  }
+
+  if (selected.family === 'tron' && detected === 'evm') {
+    return { valid: false, error: 'Looks like an ERC20 address but TRC20 selected' };
+  }
+
+  if (selected.family === 'evm' && detected === 'tron') {
+    return { valid: false, error: `Looks like a TRC20 address but ${selected.label} selected` };
+  }
+
+  const error = selected.family === 'tron'
+    ? validateTronAddress(value)
+    : validateEvmAddress(value, selected.label);
+
+  return { valid: !error, error };
+};
@@ -0,0 +1,29 @@
+// Stablecoins available for purchase and the networks each one can be
+// delivered on (Transak does not offer USDC or DAI on Tron)
+export const CRYPTO_ASSETS = {
+  USDT: {
+    symbol: 'USDT',
+    name: 'Tether',
+    networks: ['tron', 'ethereum', 'polygon', 'bsc'],
+  },
+  USDC: {
+    symbol: 'USDC',
+    name: 'USD Coin',
+    networks: ['ethereum', 'polygon', 'bsc'],
+  },
+  DAI: {
+    symbol: 'DAI',
+    name: 'Dai',
+    networks: ['ethereum', 'polygon', 'bsc'],
+  },
+};
+
+export const DEFAULT_CRYPTO_ASSET = 'USDT';
+
+export const getAssetNetworks = (symbol) => {
+  return (CRYPTO_ASSETS[symbol] || CRYPTO_ASSETS[DEFAULT_CRYPTO_ASSET]).networks;
+};
+
+export const isNetworkSupported = (symbol, network) => {
+  return getAssetNetworks(symbol).includes(network);
+};
@@ -0,0 +1,38 @@
+// Fiat currencies customers can pay with, and per-provider purchase limits
+// (in units of that currency)
+export const FIAT_CURRENCIES = {
+  USD: {
+    code: 'USD',
+    name: 'US Dollar',
+    flag: '🇺🇸',
+    limits: {
+      transak: { min: 30, max: 10000 },
+      stripe: { min: 10, max: 10000 },
+    },
+  },
+  EUR: {
+    code: 'EUR',
+    name: 'Euro',
+    flag: '🇪🇺',
+    limits: {
+      transak: { min: 30, max: 10000 },
+      stripe: { min: 10, max: 9000 },
+    },
+  },
+  GBP: {
+    code: 'GBP',
+    name: 'British Pound',
+    flag: '🇬🇧',
+    limits: {
+      transak: { min: 25, max: 8500 },
+      stripe: { min: 10, max: 8000 },
+    },
+  },
+};
+
+export const DEFAULT_FIAT_CURRENCY = 'USD';
+
+export const getFiatLimits = (currency, provider) => {
+  const config = FIAT_CURRENCIES[currency] || FIAT_CURRENCIES[DEFAULT_FIAT_CURRENCY];
+  return config.limits[provider];
+};
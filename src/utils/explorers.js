@@ -0,0 +1,45 @@
+import { getNetwork } from './networks';
+
+// Block explorers per network key. Transak's STAGING environment settles
+// on testnets, so Transak orders link to the matching testnet explorer
+// there; Stripe orders and production Transak orders settle on mainnet.
+const transakStaging = (import.meta.env.VITE_TRANSAK_ENVIRONMENT || 'STAGING') === 'STAGING';
+
+const usesTestnet = (provider) => provider === 'transak' && transakStaging;
+
+export const EXPLORERS = {
+  tron: {
+    mainnet: { name: 'Tronscan', baseUrl: 'https://tronscan.org/#', txPath: '/transaction/', addressPath: '/address/' },
+    testnet: { name: 'Tronscan (Nile)', baseUrl: 'https://nile.tronscan.org/#', txPath: '/transaction/', addressPath: '/address/' },
+  },
+  ethereum: {
+    mainnet: { name: 'Etherscan', baseUrl: 'https://etherscan.io', txPath: '/tx/', addressPath: '/address/' },
+    testnet: { name: 'Etherscan (Sepolia)', baseUrl: 'https://sepolia.etherscan.io', txPath: '/tx/', addressPath: '/address/' },
+  },
+  polygon: {
+    mainnet: { name: 'Polygonscan', baseUrl: 'https://polygonscan.com', txPath: '/tx/', addressPath: '/address/' },
+    testnet: { name: 'Polygonscan (Amoy)', baseUrl: 'https://amoy.polygonscan.com', txPath: '/tx/', addressPath: '/address/' },
+  },
+  bsc: {
+    mainnet: { name: 'BscScan', baseUrl: 'https://bscscan.com', txPath: '/tx/', addressPath: '/address/' },
+    testnet: { name: 'BscScan (Testnet)', baseUrl: 'https://testnet.bscscan.com', txPath: '/tx/', addressPath: '/address/' },
+  },
+};
+
+// Accepts a network key or label (transactions store `blockchainNetwork` as
+// either); `provider` is the transaction's provider
+export const getExplorer = (network, provider) => {
+  const explorers = EXPLORERS[getNetwork(network)?.key];
+  if (!explorers) return null;
+  return usesTestnet(provider) ? explorers.testnet : explorers.mainnet;
+};
+
+export const getTxExplorerUrl = (network, hash, provider) => {
+  const explorer = getExplorer(network, provider);
+  return explorer && hash ? `${explorer.baseUrl}${explorer.txPath}${hash}` : null;
+};
+
+export const getAddressExplorerUrl = (network, address, provider) => {
+  const explorer = getExplorer(network, provider);
+  return explorer && address ? `${explorer.baseUrl}${explorer.addressPath}${address}` : null;
+};
@@ -1,4 +1,5 @@
 import { format } from 'date-fns';
+import { getStatus } from './transactionStatuses';
 
 export const formatCurrency = (amount, currency = 'USD') => {
   return new Intl.NumberFormat('en-US', {
@@ -9,10 +10,48 @@ export const formatCurrency = (amount, currency = 'USD') => {
   }).format(amount);
 };
 
+// Transactions created before multi-fiat support only carry amountUSD
+export const getTransactionFiat = (transaction) => ({
+  amount: transaction?.fiatAmount ?? transaction?.amountUSD ?? 0,
+  currency: transaction?.fiatCurrency || 'USD',
+});
+
+export const formatTransactionAmount = (transaction) => {
+  const { amount, currency } = getTransactionFiat(transaction);
+  return formatCurrency(amount, currency);
+};
+
 export const formatCrypto = (amount, symbol = 'USDT') => {
   return `${amount.toFixed(2)} ${symbol}`;
 };
 
+// Likewise, transactions created before multi-asset support are always USDT
+export const getTransactionCrypto = (transaction) => ({
+  amount: transaction?.cryptoAmount ?? transaction?.usdtAmount ?? 0,
+  symbol: transaction?.cryptoCurrency || 'USDT',
+});
+
+export const formatTransactionCrypto = (transaction) => {
+  const { amount, symbol } = getTransactionCrypto(transaction);
+  return formatCrypto(amount, symbol);
+};
+
+// Sell (off-ramp) transactions run the other way: crypto is paid in and
+// fiat is paid out
+export const isSellTransaction = (transaction) => transaction?.type === 'sell';
+
+export const formatAmountPaid = (transaction) => {
+  return isSellTransaction(transaction)
+    ? formatTransactionCrypto(transaction)
+    : formatTransactionAmount(transaction);
+};
+
+export const formatAmountReceived = (transaction) => {
+  return isSellTransaction(transaction)
+    ? formatTransactionAmount(transaction)
+    : formatTransactionCrypto(transaction);
+};
+
 export const formatDate = (date) => {
   if (!date) return 'N/A';
   return format(new Date(date), 'MMM dd, yyyy HH:mm');
@@ -23,31 +62,22 @@ export const formatShortDate = (date) => {
   return format(new Date(date), 'MMM dd, yyyy');
 };
 
-export const getStatusColor = (status) => {
-  const colors = {
-    pending: 'bg-yellow-100 text-yellow-800',
-    payment_processing: 'bg-blue-100 text-blue-800',
-    payment_confirmed: 'bg-green-100 text-green-800',
-    converting_to_usdt: 'bg-purple-100 text-purple-800',
-    usdt_sent: 'bg-indigo-100 text-indigo-800',
-    completed: 'bg-green-100 text-green-800',
-    failed: 'bg-red-100 text-red-800',
-  };
-  return colors[status] || 'bg-gray-100 text-gray-800';
+// Elapsed time between two events: "45s", "4m 12s", "2h 5m", "3d 4h"
+export const formatDuration = (ms) => {
+  if (ms == null || ms < 0) return '';
+  const seconds = Math.round(ms / 1000);
+  if (seconds < 60) return `${seconds}s`;
+  const minutes = Math.floor(seconds / 60);
+  if (minutes < 60) return `${minutes}m ${seconds % 60}s`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours}h ${minutes % 60}m`;
+  return `${Math.floor(hours / 24)}d ${hours % 24}h`;
 };
 
-export const getStatusText = (status) => {
-  const texts = {
-    pending: 'Pending',
-    payment_processing: 'Processing Payment',
-    payment_confirmed: 'Payment Confirmed',
-    converting_to_usdt: 'Converting to USDT',
-    usdt_sent: 'USDT Sent',
-    completed: 'Completed',
-    failed: 'Failed',
-  };
-  return texts[status] || status;
-};
+// Badge color and label for a transaction status (see transactionStatuses.js)
+export const getStatusColor = (status) => getStatus(status).color;
+
+export const getStatusText = (status) => getStatus(status).label;
 
 export const truncateAddress = (address, start = 6, end = 4) => {
   if (!address) return '';
@@ -0,0 +1,58 @@
+// Idempotency keys for mutating payment calls
+//
+// Every key is sent as the `Idempotency-Key` header. The backend stores the
+// first response per key and replays it (with `duplicate: true`) for any
+// repeat, so neither the automatic timeout retry in api.js nor a user
+// submitting the same form twice can create a second order.
+const STORAGE_KEY = 'idempotencyKeys';
+
+export const IDEMPOTENCY_HEADER = 'Idempotency-Key';
+
+export const createIdempotencyKey = () => {
+  if (window.crypto?.randomUUID) {
+    return window.crypto.randomUUID();
+  }
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+};
+
+const readKeys = () => {
+  try {
+    return JSON.parse(sessionStorage.getItem(STORAGE_KEY)) || {};
+  } catch (error) {
+    return {};
+  }
+};
+
+const writeKeys = (keys) => {
+  sessionStorage.setItem(STORAGE_KEY, JSON.stringify(keys));
+};
+
+/**
+ * Key for submitting `payload` from the form identified by `scope`.
+ *
+ * Re-submitting the same payload returns the same key (also across reloads
+ * in this tab); any change to the payload starts a new one.
+ */
+export const getIdempotencyKey = (scope, payload) => {
+  const keys = readKeys();
+  const fingerprint = JSON.stringify(payload);
+
+  if (keys[scope]?.fingerprint === fingerprint) {
+    return keys[scope].key;
+  }
+
+  const key = createIdempotencyKey();
+  writeKeys({ ...keys, [scope]: { fingerprint, key } });
+  return key;
+};
+
+// Call once the submission is settled so the next one gets a fresh key
+export const clearIdempotencyKey = (scope) => {
+  const { [scope]: removed, ...keys } = readKeys();
+  writeKeys(keys);
+};
+
+// Axios request config carrying the key (none → the interceptor adds one)
+export const withIdempotencyKey = (key) => {
+  return key ? { headers: { [IDEMPOTENCY_HEADER]: key } } : {};
+};
@@ -0,0 +1,72 @@
+// Per-user purchase limits and verification tiers
+//
+// The backend reports them in the requested currency:
+// {
+//   currency: 'USD',
+//   tier: { level: 1, name: 'Basic', perTransaction: 2000 },
+//   periods: [{ period: 'daily', limit: 2000, used: 150, remaining: 1850, resetsAt }],
+//   nextTier: { level: 2, name: 'Verified', perTransaction: 10000,
+//               limits: { daily: 10000, ... }, requirements: ['...'] } | null,
+// }
+// Provider limits (src/utils/currencies.js) still apply on top.
+export const LIMIT_PERIODS = {
+  daily: 'Daily',
+  weekly: 'Weekly',
+  monthly: 'Monthly',
+};
+
+export const getPeriodLabel = (period) => {
+  return LIMIT_PERIODS[period] || period;
+};
+
+export const getUsagePercent = ({ used, limit }) => {
+  if (!limit) return 0;
+  return Math.min(Math.round((used / limit) * 100), 100);
+};
+
+export const getUsageColor = (percent) => {
+  if (percent >= 90) return 'bg-red-500';
+  if (percent >= 70) return 'bg-yellow-500';
+  return 'bg-green-500';
+};
+
+/**
+ * Amount range allowed right now: the provider's range narrowed by the
+ * user's per-transaction limit and whatever is left of each period limit.
+ *
+ * `limitedBy` says what set the max: 'provider', 'tier' or a period key.
+ * Without user limits (not loaded / unavailable) the provider range applies.
+ */
+export const getEffectiveLimits = (providerLimits, userLimits) => {
+  let max = providerLimits.max;
+  let limitedBy = 'provider';
+
+  if (!userLimits) {
+    return { ...providerLimits, limitedBy };
+  }
+
+  if (userLimits.tier?.perTransaction != null && userLimits.tier.perTransaction < max) {
+    max = userLimits.tier.perTransaction;
+    limitedBy = 'tier';
+  }
+
+  (userLimits.periods || []).forEach(({ period, remaining }) => {
+    if (remaining != null && remaining < max) {
+      max = Math.max(remaining, 0);
+      limitedBy = period;
+    }
+  });
+
+  return { min: providerLimits.min, max, limitedBy };
+};
+
+// Why the max is what it is, for the hint under the amount input
+export const getLimitReason = (limitedBy, tierName) => {
+  if (limitedBy === 'tier') {
+    return `${tierName || 'Your'} tier per-purchase limit`;
+  }
+  if (LIMIT_PERIODS[limitedBy]) {
+    return `remaining ${getPeriodLabel(limitedBy).toLowerCase()} limit`;
+  }
+  return null;
+};
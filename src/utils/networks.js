@@ -0,0 +1,63 @@
+// Supported blockchain networks for USDT delivery
+// `family` decides which address format applies (Tron Base58Check vs EVM hex);
+// `finality` is how many confirmations we treat a transfer as final after
+export const NETWORKS = {
+  tron: {
+    key: 'tron',
+    label: 'TRC20',
+    name: 'Tron',
+    family: 'tron',
+    placeholder: 'TXYZxG5FdhZ5CdKWPSqZvC...',
+    hint: 'Address must start with T (34 characters)',
+    finality: 19,
+  },
+  ethereum: {
+    key: 'ethereum',
+    label: 'ERC20',
+    name: 'Ethereum',
+    family: 'evm',
+    placeholder: '0x1234567890abcdef...',
+    hint: 'Address must start with 0x (42 characters)',
+    finality: 12,
+  },
+  polygon: {
+    key: 'polygon',
+    label: 'Polygon',
+    name: 'Polygon',
+    family: 'evm',
+    placeholder: '0x1234567890abcdef...',
+    hint: 'Address must start with 0x (42 characters)',
+    finality: 64,
+  },
+  bsc: {
+    key: 'bsc',
+    label: 'BEP20',
+    name: 'Binance Smart Chain',
+    family: 'evm',
+    placeholder: '0x1234567890abcdef...',
+    hint: 'Address must start with 0x (42 characters)',
+    finality: 15,
+  },
+};
+
+// Legacy Stripe flow sends labels ('TRC20') instead of keys ('tron')
+const LABEL_TO_KEY = Object.values(NETWORKS).reduce((map, network) => {
+  map[network.label.toUpperCase()] = network.key;
+  return map;
+}, {});
+
+export const getNetwork = (network) => {
+  if (!network) return null;
+  return NETWORKS[network] || NETWORKS[LABEL_TO_KEY[String(network).toUpperCase()]] || null;
+};
+
+export const getNetworkLabel = (network) => {
+  return getNetwork(network)?.label || network;
+};
+
+// Expected arrival from a { min, max } minutes range, e.g. "1-3 min"
+export const formatArrivalTime = (arrivalMinutes) => {
+  if (!arrivalMinutes) return '-';
+  const { min, max } = arrivalMinutes;
+  return min === max || max == null ? `~${min} min` : `${min}-${max} min`;
+};
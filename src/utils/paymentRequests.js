@@ -0,0 +1,33 @@
+// Shareable payment requests: link building and status display
+
+// Public link the creator shares; opens the locked /payment flow
+export const getPaymentRequestLink = (token) => {
+  return `${window.location.origin}/pay/${token}`;
+};
+
+// The backend only flips `status` to expired lazily, so check the date too
+export const isPaymentRequestExpired = (request) => {
+  return request.status === 'expired'
+    || (!!request.expiresAt && new Date(request.expiresAt) < new Date());
+};
+
+export const getPaymentRequestStatus = (request) => {
+  if (request.status === 'open' && isPaymentRequestExpired(request)) {
+    return 'expired';
+  }
+  return request.status;
+};
+
+export const isPaymentRequestPayable = (request) => {
+  return getPaymentRequestStatus(request) === 'open';
+};
+
+export const getPaymentRequestStatusColor = (status) => {
+  const colors = {
+    open: 'bg-blue-100 text-blue-800',
+    paid: 'bg-green-100 text-green-800',
+    revoked: 'bg-gray-100 text-gray-800',
+    expired: 'bg-yellow-100 text-yellow-800',
+  };
+  return colors[status] || 'bg-gray-100 text-gray-800';
+};
@@ -0,0 +1,40 @@
+// Off-ramp (sell) options: what can be sold, how much, and how the fiat
+// proceeds can be paid out (ids are Transak payment method codes)
+export const SELL_ASSET = 'USDT';
+
+// In units of the asset being sold
+export const SELL_LIMITS = { min: 30, max: 5000 };
+
+export const PAYOUT_METHODS = {
+  credit_debit_card: {
+    id: 'credit_debit_card',
+    label: 'Card payout',
+    description: 'Paid to your Visa or Mastercard debit card',
+    eta: 'Usually within 30 minutes',
+    currencies: ['USD', 'EUR', 'GBP'],
+  },
+  sepa_bank_transfer: {
+    id: 'sepa_bank_transfer',
+    label: 'SEPA bank transfer',
+    description: 'Paid to a euro bank account',
+    eta: '1-2 business days',
+    currencies: ['EUR'],
+  },
+  gbp_bank_transfer: {
+    id: 'gbp_bank_transfer',
+    label: 'Faster Payments',
+    description: 'Paid to a UK bank account',
+    eta: 'Usually within 2 hours',
+    currencies: ['GBP'],
+  },
+};
+
+export const getPayoutMethods = (fiatCurrency) => {
+  return Object.values(PAYOUT_METHODS).filter((method) =>
+    method.currencies.includes(fiatCurrency)
+  );
+};
+
+export const getPayoutMethodLabel = (id) => {
+  return PAYOUT_METHODS[id]?.label || id;
+};
@@ -0,0 +1,32 @@
+// Persist the in-flight order of a resumable provider (Transak) so it survives
+// a reload, tab close or widget crash. Stored per user in localStorage
+// alongside token/user.
+const STORAGE_KEY = 'pendingTransakOrder';
+
+export const savePendingOrder = (order) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify({
+    ...order,
+    savedAt: new Date().toISOString(),
+  }));
+};
+
+export const getPendingOrder = (userId) => {
+  try {
+    const order = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
+    if (!order || (userId && order.userId !== userId)) {
+      return null;
+    }
+    return order;
+  } catch (error) {
+    console.error('Failed to parse pending order:', error);
+    return null;
+  }
+};
+
+export const clearPendingOrder = (orderId) => {
+  const order = getPendingOrder();
+  // Only clear when it's the same order (or no order id given)
+  if (!orderId || order?.orderId === orderId) {
+    localStorage.removeItem(STORAGE_KEY);
+  }
+};
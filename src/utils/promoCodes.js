@@ -0,0 +1,36 @@
+import { formatCurrency, formatCrypto } from './formatters';
+
+// Promo / referral codes at checkout
+//
+// The backend validates a code for a specific purchase and returns
+// { code, type: 'discount' | 'bonus', description, discountAmount, bonusAmount,
+//   expiresAt }. A discount comes off the fees (fiat), a bonus is extra crypto
+// delivered with the purchase.
+export const PROMO_ERRORS = {
+  PROMO_NOT_FOUND: "We don't recognise this code",
+  PROMO_EXPIRED: 'This code has expired',
+  PROMO_USED_UP: 'This code has already been fully redeemed',
+  PROMO_ALREADY_USED: "You've already used this code",
+  PROMO_INELIGIBLE: "This code can't be used for this purchase",
+};
+
+export const normalizePromoCode = (code) => (code || '').trim().toUpperCase();
+
+// Inline message for a rejected code; `reason` carries specifics such as a
+// minimum amount ("Minimum purchase is $50")
+export const getPromoErrorMessage = (error) => {
+  const message = PROMO_ERRORS[error?.code];
+  if (!message) {
+    return error?.message || 'Unable to apply this code';
+  }
+  return error.reason ? `${message}. ${error.reason}` : message;
+};
+
+// "-$5.00 off fees" / "+2.00 USDT bonus"
+export const formatPromoEffect = (promo, fiatCurrency, cryptoCurrency) => {
+  if (!promo) return '';
+  if (promo.type === 'bonus') {
+    return `+${formatCrypto(promo.bonusAmount, cryptoCurrency)} bonus`;
+  }
+  return `-${formatCurrency(promo.discountAmount, fiatCurrency)} off fees`;
+};
@@ -0,0 +1,168 @@
+import {
+  formatCurrency,
+  formatCrypto,
+  formatDate,
+  getStatusText,
+  getTransactionFiat,
+  getTransactionCrypto,
+  isSellTransaction,
+} from './formatters';
+import { getNetworkLabel } from './networks';
+
+// Transaction receipts
+//
+// One set of receipt rows feeds both the print view (/transaction/:id/receipt)
+// and the generated PDF, so the two never disagree.
+export const RECEIPT_ISSUER = 'USDTPay';
+
+const PROVIDER_NAMES = {
+  transak: 'Transak',
+  stripe: 'Stripe',
+};
+
+// Only settled purchases are proof of anything
+export const canIssueReceipt = (transaction) => transaction?.status === 'completed';
+
+// Transak's order ID, or the Stripe PaymentIntent for card purchases
+const getProviderOrderId = (transaction) => {
+  return transaction.transakOrderId || transaction.stripePaymentIntentId || null;
+};
+
+/**
+ * Receipt contents as sections of { label, value, mono } rows. Rows without
+ * a value are left out.
+ */
+export const getReceipt = (transaction) => {
+  const isSell = isSellTransaction(transaction);
+  const fiat = getTransactionFiat(transaction);
+  const crypto = getTransactionCrypto(transaction);
+
+  const fees = [
+    { label: 'Service Fee', value: `${formatCurrency(transaction.conversionFee || 0, fiat.currency)} (${transaction.feePercentage || 0}%)` },
+    transaction.networkFee != null && { label: 'Network Fee', value: formatCurrency(transaction.networkFee, fiat.currency) },
+    transaction.promo && { label: 'Promo Code', value: transaction.promo.code },
+  ];
+
+  const sections = [
+    {
+      title: 'Transaction',
+      rows: [
+        { label: 'Transaction ID', value: transaction._id, mono: true },
+        { label: 'Type', value: isSell ? 'Sell' : 'Buy' },
+        { label: 'Status', value: getStatusText(transaction.status) },
+        { label: 'Initiated', value: formatDate(transaction.initiatedAt) },
+        transaction.completedAt && { label: 'Completed', value: formatDate(transaction.completedAt) },
+      ],
+    },
+    {
+      title: 'Amounts',
+      rows: [
+        isSell
+          ? { label: 'Crypto Sold', value: formatCrypto(crypto.amount, crypto.symbol) }
+          : { label: 'Fiat Paid', value: formatCurrency(fiat.amount, fiat.currency) },
+        isSell
+          ? { label: 'Payout', value: formatCurrency(fiat.amount, fiat.currency) }
+          : { label: 'Crypto Received', value: formatCrypto(crypto.amount, crypto.symbol) },
+        transaction.exchangeRate && {
+          label: 'Exchange Rate',
+          value: isSell
+            ? `1 ${crypto.symbol} = ${transaction.exchangeRate} ${fiat.currency}`
+            : `1 ${fiat.currency} = ${transaction.exchangeRate} ${crypto.symbol}`,
+        },
+        ...fees,
+      ],
+    },
+    {
+      title: 'Delivery',
+      rows: [
+        { label: 'Network', value: getNetworkLabel(transaction.blockchainNetwork) },
+        isSell
+          ? { label: 'Deposit Address', value: transaction.depositAddress, mono: true }
+          : { label: 'Destination Address', value: transaction.walletAddress, mono: true },
+        { label: 'Transaction Hash', value: transaction.transactionHash, mono: true },
+      ],
+    },
+    {
+      title: 'Provider',
+      rows: [
+        { label: 'Provider', value: PROVIDER_NAMES[transaction.provider] || transaction.provider },
+        { label: 'Provider Order ID', value: getProviderOrderId(transaction), mono: true },
+      ],
+    },
+  ];
+
+  return sections.map((section) => ({
+    ...section,
+    rows: section.rows.filter((row) => row && row.value),
+  }));
+};
+
+export const getReceiptFileName = (transaction) => `receipt-${transaction._id}.pdf`;
+
+const PAGE_MARGIN = 20;
+const LABEL_WIDTH = 55;
+const LINE_HEIGHT = 6;
+
+/**
+ * Build the receipt PDF in the browser and download it. jsPDF is loaded on
+ * first use to keep it out of the main bundle.
+ */
+export const downloadReceiptPdf = async (transaction) => {
+  const { jsPDF } = await import('jspdf');
+  const doc = new jsPDF({ unit: 'mm', format: 'a4' });
+
+  const pageWidth = doc.internal.pageSize.getWidth();
+  const pageHeight = doc.internal.pageSize.getHeight();
+  const valueWidth = pageWidth - PAGE_MARGIN * 2 - LABEL_WIDTH;
+  let y = PAGE_MARGIN;
+
+  const ensureSpace = (height) => {
+    if (y + height > pageHeight - PAGE_MARGIN) {
+      doc.addPage();
+      y = PAGE_MARGIN;
+    }
+  };
+
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(18);
+  doc.text(`${RECEIPT_ISSUER} Receipt`, PAGE_MARGIN, y);
+  y += LINE_HEIGHT + 2;
+
+  doc.setFont('helvetica', 'normal');
+  doc.setFontSize(9);
+  doc.setTextColor(100);
+  doc.text(`Generated ${formatDate(new Date())}`, PAGE_MARGIN, y);
+  doc.setTextColor(0);
+  y += LINE_HEIGHT * 2;
+
+  getReceipt(transaction).forEach((section) => {
+    ensureSpace(LINE_HEIGHT * 3);
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(12);
+    doc.text(section.title, PAGE_MARGIN, y);
+    y += 2;
+    doc.setDrawColor(200);
+    doc.line(PAGE_MARGIN, y, pageWidth - PAGE_MARGIN, y);
+    y += LINE_HEIGHT;
+
+    doc.setFontSize(10);
+    section.rows.forEach((row) => {
+      // Addresses and hashes are long - wrap them instead of running off the page
+      doc.setFont(row.mono ? 'courier' : 'helvetica', 'normal');
+      const lines = doc.splitTextToSize(String(row.value), valueWidth);
+      ensureSpace(lines.length * LINE_HEIGHT);
+
+      doc.setFont('helvetica', 'normal');
+      doc.setTextColor(100);
+      doc.text(row.label, PAGE_MARGIN, y);
+      doc.setTextColor(0);
+      doc.setFont(row.mono ? 'courier' : 'helvetica', 'normal');
+      doc.text(lines, PAGE_MARGIN + LABEL_WIDTH, y);
+      y += lines.length * LINE_HEIGHT;
+    });
+
+    y += LINE_HEIGHT;
+  });
+
+  doc.save(getReceiptFileName(transaction));
+};
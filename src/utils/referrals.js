@@ -0,0 +1,58 @@
+// Referral program
+//
+// Every user has a referral code; /register?ref=CODE pre-fills it on sign-up.
+// A referral qualifies once the invitee completes a qualifying purchase, which
+// earns the referrer a reward that is then paid out.
+export const REFERRAL_PARAM = 'ref';
+
+export const normalizeReferralCode = (code) => (code || '').trim().toUpperCase();
+
+export const getReferralLink = (code) => {
+  return `${window.location.origin}/register?${REFERRAL_PARAM}=${encodeURIComponent(code)}`;
+};
+
+// "jane.doe@example.com" → "j***@example.com" (already masked input is left as is)
+export const maskEmail = (email) => {
+  if (!email || !email.includes('@')) return email || 'Invited user';
+  const [local, domain] = email.split('@');
+  return `${local.charAt(0)}***@${domain}`;
+};
+
+export const getReferralStatusText = (status) => {
+  const texts = {
+    signed_up: 'Signed up',
+    qualified: 'Qualified',
+    expired: 'Expired',
+  };
+  return texts[status] || status;
+};
+
+export const getReferralStatusColor = (status) => {
+  const colors = {
+    signed_up: 'bg-blue-100 text-blue-800',
+    qualified: 'bg-green-100 text-green-800',
+    expired: 'bg-gray-100 text-gray-800',
+  };
+  return colors[status] || 'bg-gray-100 text-gray-800';
+};
+
+// Reward payout status
+export const getRewardStatusText = (status) => {
+  const texts = {
+    pending: 'Pending',
+    approved: 'Approved',
+    paid: 'Paid out',
+    rejected: 'Rejected',
+  };
+  return texts[status] || status;
+};
+
+export const getRewardStatusColor = (status) => {
+  const colors = {
+    pending: 'bg-yellow-100 text-yellow-800',
+    approved: 'bg-blue-100 text-blue-800',
+    paid: 'bg-green-100 text-green-800',
+    rejected: 'bg-red-100 text-red-800',
+  };
+  return colors[status] || 'bg-gray-100 text-gray-800';
+};
@@ -0,0 +1,39 @@
+// Recurring purchase plan options and status display
+export const FREQUENCIES = {
+  daily: 'Daily',
+  weekly: 'Weekly',
+  biweekly: 'Every 2 weeks',
+  monthly: 'Monthly',
+};
+
+export const getFrequencyText = (frequency) => {
+  return FREQUENCIES[frequency] || frequency;
+};
+
+export const getScheduleStatusColor = (status) => {
+  const colors = {
+    active: 'bg-green-100 text-green-800',
+    paused: 'bg-yellow-100 text-yellow-800',
+    cancelled: 'bg-gray-100 text-gray-800',
+    completed: 'bg-blue-100 text-blue-800',
+  };
+  return colors[status] || 'bg-gray-100 text-gray-800';
+};
+
+export const getRunStatusColor = (status) => {
+  const colors = {
+    pending: 'bg-yellow-100 text-yellow-800',
+    succeeded: 'bg-green-100 text-green-800',
+    failed: 'bg-red-100 text-red-800',
+    skipped: 'bg-gray-100 text-gray-800',
+  };
+  return colors[status] || 'bg-gray-100 text-gray-800';
+};
+
+// Value for <input type="date"> (local date, not UTC)
+export const toDateInputValue = (date) => {
+  if (!date) return '';
+  const d = new Date(date);
+  const offset = d.getTimezoneOffset() * 60000;
+  return new Date(d.getTime() - offset).toISOString().slice(0, 10);
+};
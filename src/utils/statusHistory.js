@@ -0,0 +1,72 @@
+import { isSellTransaction } from './formatters';
+import { getFlow, canTransition } from './transactionStatuses';
+
+// Transaction status history
+//
+// The backend records every status change in `transaction.statusHistory`:
+// [{ status, timestamp, actor, message }], where `actor` is who caused it.
+// Live `transaction_update` socket events carry the same shape in `event`.
+export const ACTORS = {
+  provider_webhook: { label: 'Provider', color: 'bg-purple-100 text-purple-800' },
+  system: { label: 'System', color: 'bg-gray-100 text-gray-800' },
+  admin: { label: 'Support', color: 'bg-orange-100 text-orange-800' },
+  user: { label: 'You', color: 'bg-blue-100 text-blue-800' },
+};
+
+export const getActor = (actor) => {
+  return ACTORS[actor] || { label: actor || 'System', color: ACTORS.system.color };
+};
+
+// Oldest first. Transactions from before statusHistory existed get a
+// minimal history from their own timestamps.
+export const getStatusHistory = (transaction) => {
+  if (!transaction) return [];
+
+  if (transaction.statusHistory?.length) {
+    return [...transaction.statusHistory].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+  }
+
+  const history = [{ status: 'initiated', timestamp: transaction.initiatedAt, actor: 'user' }];
+  if (transaction.completedAt) {
+    history.push({ status: transaction.status, timestamp: transaction.completedAt, actor: 'system' });
+  }
+  return history.filter((event) => event.timestamp);
+};
+
+// When each status was first reached ({ [status]: timestamp })
+export const getStatusTimestamps = (history) => {
+  return history.reduce((map, event) => {
+    if (!map[event.status]) {
+      map[event.status] = event.timestamp;
+    }
+    return map;
+  }, {});
+};
+
+/**
+ * Apply a live status event to a transaction without refetching it. Replayed
+ * events (same status and timestamp) are ignored. `fields` are transaction
+ * fields sent along with the event (e.g. transactionHash, completedAt) and are
+ * merged when the event becomes the current status.
+ */
+export const appendStatusEvent = (transaction, event, fields = {}) => {
+  const history = transaction.statusHistory || [];
+  const duplicate = history.some((item) => item.status === event.status && item.timestamp === event.timestamp);
+  if (duplicate) return transaction;
+
+  // A late-arriving older event, or one the provider's flow doesn't allow from
+  // the current status, goes into the history but doesn't change the status
+  const latest = history.every((item) => new Date(item.timestamp) <= new Date(event.timestamp));
+  const flow = getFlow(transaction.provider, isSellTransaction(transaction) ? 'sell' : 'buy');
+  if (!latest || !canTransition(flow, transaction.status, event.status)) {
+    return { ...transaction, statusHistory: [...history, event] };
+  }
+
+  return {
+    ...transaction,
+    ...fields,
+    status: event.status,
+    errorMessage: event.status === 'failed' ? event.message || transaction.errorMessage : transaction.errorMessage,
+    statusHistory: [...history, event],
+  };
+};
@@ -0,0 +1,74 @@
+import { getStatusHistory } from './statusHistory';
+
+// Support tickets raised from a transaction
+//
+// A ticket is { _id, transactionId, status, subject, context, messages,
+// createdAt, updatedAt }; each message is { _id, author: 'user' | 'support',
+// authorName, body, attachments: [{ url, name }], createdAt }. Support replies
+// are pushed over the websocket as `support_reply` { ticketId, message, status }.
+export const TICKET_STATUSES = {
+  open: { label: 'Open', color: 'bg-yellow-100 text-yellow-800' },
+  awaiting_user: { label: 'Awaiting Your Reply', color: 'bg-blue-100 text-blue-800' },
+  resolved: { label: 'Resolved', color: 'bg-green-100 text-green-800' },
+  closed: { label: 'Closed', color: 'bg-gray-100 text-gray-800' },
+};
+
+// Statuses support is still working on (or waiting on the user for)
+export const OPEN_TICKET_STATUSES = ['open', 'awaiting_user'];
+
+export const MAX_SCREENSHOTS = 3;
+export const MAX_SCREENSHOT_BYTES = 5 * 1024 * 1024;
+export const SCREENSHOT_TYPES = ['image/png', 'image/jpeg', 'image/webp'];
+
+export const getTicketStatus = (status) => {
+  return TICKET_STATUSES[status] || { label: status, color: 'bg-gray-100 text-gray-800' };
+};
+
+export const isOpenTicket = (ticket) => OPEN_TICKET_STATUSES.includes(ticket?.status);
+
+// Error message for a screenshot selection, or null if it can be uploaded
+export const validateScreenshots = (files) => {
+  if (files.length > MAX_SCREENSHOTS) {
+    return `You can attach up to ${MAX_SCREENSHOTS} screenshots`;
+  }
+  if (files.some((file) => !SCREENSHOT_TYPES.includes(file.type))) {
+    return 'Screenshots must be PNG, JPEG or WebP images';
+  }
+  if (files.some((file) => file.size > MAX_SCREENSHOT_BYTES)) {
+    return `Each screenshot must be under ${MAX_SCREENSHOT_BYTES / (1024 * 1024)} MB`;
+  }
+  return null;
+};
+
+// What support sees about the transaction without having to ask
+export const buildTicketContext = (transaction) => ({
+  status: transaction.status,
+  provider: transaction.provider || null,
+  errorMessage: transaction.errorMessage || null,
+  statusHistory: getStatusHistory(transaction),
+});
+
+// Multipart body for a new ticket or reply: text fields plus screenshots
+export const buildTicketFormData = (fields, screenshots = []) => {
+  const formData = new FormData();
+  Object.entries(fields).forEach(([key, value]) => {
+    if (value != null) {
+      formData.append(key, typeof value === 'object' ? JSON.stringify(value) : value);
+    }
+  });
+  screenshots.forEach((file) => formData.append('screenshots', file));
+  return formData;
+};
+
+// Add a pushed message to a ticket; replays of the same message are ignored
+export const appendTicketMessage = (ticket, message, status) => {
+  const messages = ticket.messages || [];
+  if (messages.some((item) => item._id === message._id)) {
+    return status ? { ...ticket, status } : ticket;
+  }
+  return {
+    ...ticket,
+    status: status || ticket.status,
+    messages: [...messages, message],
+  };
+};
@@ -0,0 +1,144 @@
+// Transaction status registry
+//
+// Every status the backend can put on a transaction, with its label and badge
+// color, plus the order each provider moves a transaction through them.
+// `delivery` marks statuses that come with on-chain data (transaction hash,
+// final amounts) and `terminal` / `failure` mark where a transaction ends.
+// Formatters, the progress stepper, history filters and order reconciliation
+// all read from here, so a new provider status only needs adding once.
+export const STATUSES = {
+  // Initial states
+  pending: { label: 'Pending', color: 'bg-yellow-100 text-yellow-800' },
+  initiated: { label: 'Initiated', color: 'bg-yellow-100 text-yellow-800' },
+
+  // Stripe payment + conversion pipeline
+  payment_processing: { label: 'Processing Payment', color: 'bg-blue-100 text-blue-800' },
+  payment_confirmed: { label: 'Payment Confirmed', color: 'bg-green-100 text-green-800' },
+  converting_to_usdt: { label: 'Converting to USDT', color: 'bg-purple-100 text-purple-800' },
+  usdt_sent: { label: 'USDT Sent', color: 'bg-indigo-100 text-indigo-800', delivery: true },
+
+  // Transak buy stages (mapped by the backend from Transak's order statuses)
+  awaiting_payment: { label: 'Awaiting Payment', color: 'bg-yellow-100 text-yellow-800' },
+  processing: { label: 'Processing', color: 'bg-blue-100 text-blue-800' },
+  pending_delivery: { label: 'Sending Crypto', color: 'bg-indigo-100 text-indigo-800', delivery: true },
+
+  // Sell
+  awaiting_deposit: { label: 'Awaiting Deposit', color: 'bg-yellow-100 text-yellow-800' },
+  crypto_received: { label: 'Crypto Received', color: 'bg-blue-100 text-blue-800', delivery: true },
+  payout_sent: { label: 'Payout Sent', color: 'bg-indigo-100 text-indigo-800' },
+
+  // Terminal
+  completed: { label: 'Completed', color: 'bg-green-100 text-green-800', terminal: true },
+  failed: { label: 'Failed', color: 'bg-red-100 text-red-800', terminal: true, failure: true },
+  cancelled: { label: 'Cancelled', color: 'bg-gray-100 text-gray-800', terminal: true, failure: true },
+  expired: { label: 'Expired', color: 'bg-gray-100 text-gray-800', terminal: true, failure: true },
+  refunded: { label: 'Refunded', color: 'bg-orange-100 text-orange-800', terminal: true, failure: true },
+};
+
+/**
+ * Per-provider state machines. A transaction starts in `initial`, moves
+ * forward through `steps` (shown in the progress stepper; `{crypto}` is
+ * replaced with the asset symbol) and can leave through any of `exits`.
+ */
+export const FLOWS = {
+  stripe: {
+    buy: {
+      initial: 'pending',
+      steps: [
+        { status: 'payment_processing', label: 'Payment Processing', icon: '💳' },
+        { status: 'payment_confirmed', label: 'Payment Confirmed', icon: '✅' },
+        { status: 'converting_to_usdt', label: 'Converting to {crypto}', icon: '🔄' },
+        { status: 'usdt_sent', label: '{crypto} Sent', icon: '🚀' },
+        { status: 'completed', label: 'Completed', icon: '🎉' },
+      ],
+      exits: ['failed', 'refunded'],
+    },
+  },
+  transak: {
+    buy: {
+      initial: 'initiated',
+      steps: [
+        { status: 'awaiting_payment', label: 'Awaiting Payment', icon: '💳' },
+        { status: 'processing', label: 'Payment Processing', icon: '🔄' },
+        { status: 'pending_delivery', label: 'Sending {crypto}', icon: '🚀' },
+        { status: 'completed', label: 'Completed', icon: '🎉' },
+      ],
+      exits: ['failed', 'cancelled', 'expired', 'refunded'],
+    },
+    sell: {
+      initial: 'initiated',
+      steps: [
+        { status: 'awaiting_deposit', label: 'Awaiting {crypto} Deposit', icon: '📥' },
+        { status: 'crypto_received', label: '{crypto} Received', icon: '✅' },
+        { status: 'payout_sent', label: 'Fiat Payout Sent', icon: '🏦' },
+        { status: 'completed', label: 'Completed', icon: '🎉' },
+      ],
+      exits: ['failed', 'cancelled', 'expired', 'refunded'],
+    },
+  },
+};
+
+// Transactions that don't record a provider predate Transak: buys went
+// through Stripe, sells were always Transak
+const DEFAULT_FLOWS = {
+  buy: FLOWS.stripe.buy,
+  sell: FLOWS.transak.sell,
+};
+
+// History filter groups. The backend accepts a comma-separated status list.
+export const STATUS_GROUPS = [
+  { key: 'completed', label: 'Completed', statuses: ['completed'] },
+  {
+    key: 'in_progress',
+    label: 'In Progress',
+    statuses: Object.keys(STATUSES).filter((status) => !STATUSES[status].terminal),
+  },
+  { key: 'failed', label: 'Failed', statuses: ['failed', 'refunded'] },
+  { key: 'cancelled', label: 'Cancelled', statuses: ['cancelled', 'expired'] },
+];
+
+export const getStatus = (status) => {
+  return STATUSES[status] || { label: status, color: 'bg-gray-100 text-gray-800' };
+};
+
+export const isTerminalStatus = (status) => !!STATUSES[status]?.terminal;
+
+export const isFailureStatus = (status) => !!STATUSES[status]?.failure;
+
+export const isDeliveryStatus = (status) => !!STATUSES[status]?.delivery;
+
+export const getFlow = (provider, type = 'buy') => {
+  return FLOWS[provider]?.[type] || DEFAULT_FLOWS[type] || DEFAULT_FLOWS.buy;
+};
+
+// Statuses of a flow in the order a transaction passes through them
+export const getStatusOrder = (flow) => [flow.initial, ...flow.steps.map((step) => step.status)];
+
+// Stepper steps with the asset symbol filled in
+export const getFlowSteps = (flow, cryptoSymbol) => {
+  return flow.steps.map((step) => ({
+    ...step,
+    label: step.label.replace('{crypto}', cryptoSymbol),
+  }));
+};
+
+/**
+ * Whether `flow` allows moving from `from` to `to`: forward along the steps,
+ * or out through an exit from a non-terminal state. The only way out of a
+ * terminal state is a refund of a completed order. Statuses the flow doesn't
+ * know are allowed, so a new backend status never gets dropped.
+ */
+export const canTransition = (flow, from, to) => {
+  if (from === to) return false;
+  if (isTerminalStatus(from)) {
+    return from === 'completed' && to === 'refunded' && flow.exits.includes(to);
+  }
+  if (flow.exits.includes(to)) return true;
+
+  const order = getStatusOrder(flow);
+  const fromIndex = order.indexOf(from);
+  const toIndex = order.indexOf(to);
+  if (fromIndex === -1 || toIndex === -1) return true;
+
+  return toIndex > fromIndex;
+};